@@ -0,0 +1,45 @@
+// handlers/authorizer.js
+'use strict';
+
+const { AuthError, verifyJwt, verifyApiKey } = require('../lib/auth');
+const { ANONYMOUS } = require('../lib/access');
+const { getHeader } = require('../lib/http');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+
+// REQUEST authorizer shared by every API route. A bearer JWT or X-Api-Key
+// header identifies the caller; requests without credentials go through as
+// anonymous so public photos stay public. Invalid credentials get a 401.
+// Handlers read the result from requestContext.authorizer (see lib/access.js).
+exports.handler = instrument('authorizer', async (event) => {
+  const authorization = getHeader(event, 'Authorization');
+  const apiKey = getHeader(event, 'X-Api-Key');
+
+  let identity = { principalId: ANONYMOUS, groups: [], authType: ANONYMOUS };
+  try {
+    if (authorization) {
+      const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+      if (!match) throw new AuthError('Authorization must be a Bearer token');
+      identity = verifyJwt(match[1]);
+    } else if (apiKey) {
+      identity = await verifyApiKey(apiKey);
+    }
+  } catch (error) {
+    if (!(error instanceof AuthError)) throw error;
+    logger.info('Rejected credentials', { reason: error.message });
+    throw Object.assign(new Error('Unauthorized'), { expected: true }); // API Gateway turns this into a 401
+  }
+
+  return {
+    principalId: identity.principalId,
+    policyDocument: {
+      Version: '2012-10-17',
+      Statement: [{ Action: 'execute-api:Invoke', Effect: 'Allow', Resource: event.methodArn }],
+    },
+    // Context values must be strings, numbers or booleans
+    context: {
+      groups: identity.groups.join(','),
+      authType: identity.authType,
+    },
+  };
+});
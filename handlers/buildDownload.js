@@ -0,0 +1,27 @@
+// handlers/buildDownload.js
+'use strict';
+
+const { unmarshall } = require('@aws-sdk/util-dynamodb');
+const { buildArchive } = require('../lib/downloads');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+
+// DynamoDB stream on the downloads table: build the archive for each new job
+exports.handler = instrument('buildDownload', async (event) => {
+  const summary = { complete: 0, failed: 0, skipped: 0 };
+
+  // A job that fails is marked failed on its record, so only infrastructure
+  // errors fail the batch and get retried; retries skip jobs already started
+  for (const record of event.Records || []) {
+    if (record.eventName !== 'INSERT') {
+      summary.skipped++;
+      continue;
+    }
+    const { DownloadId } = unmarshall(record.dynamodb.Keys);
+    const outcome = await buildArchive(DownloadId);
+    summary[outcome]++;
+  }
+
+  logger.info('Download build summary', summary);
+  return summary;
+});
@@ -0,0 +1,61 @@
+// handlers/collections.js
+'use strict';
+
+const { HttpError, jsonResponse, parseJsonBody, getPathParam } = require('../lib/http');
+const {
+  collectionOwner,
+  createCollection,
+  listCollections,
+  getCollection,
+  updateCollection,
+  addPhotos,
+  removePhoto,
+  deleteCollection
+} = require('../lib/collections');
+const { callerFromEvent, accessScope } = require('../lib/access');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+
+// The signed-in user's collections:
+//   POST   /collections                          { name, description?, ids? }
+//   GET    /collections
+//   GET    /collections/{id}
+//   PATCH  /collections/{id}                     { name?, description? }
+//   DELETE /collections/{id}
+//   POST   /collections/{id}/photos              { ids }
+//   DELETE /collections/{id}/photos/{photoId}
+const ROUTES = {
+  'POST /collections': async (event, owner, scope) =>
+    jsonResponse(201, await createCollection(owner, parseJsonBody(event), scope)),
+  'GET /collections': async (event, owner) =>
+    jsonResponse(200, { collections: await listCollections(owner) }),
+  'GET /collections/{id}': async (event, owner, scope) =>
+    jsonResponse(200, await getCollection(getPathParam(event, 'id'), owner, scope)),
+  'PATCH /collections/{id}': async (event, owner) =>
+    jsonResponse(200, await updateCollection(getPathParam(event, 'id'), owner, parseJsonBody(event))),
+  'DELETE /collections/{id}': async (event, owner) => {
+    await deleteCollection(getPathParam(event, 'id'), owner);
+    return jsonResponse(200, { id: getPathParam(event, 'id'), deleted: true });
+  },
+  'POST /collections/{id}/photos': async (event, owner, scope) =>
+    jsonResponse(200, await addPhotos(getPathParam(event, 'id'), owner, parseJsonBody(event), scope)),
+  'DELETE /collections/{id}/photos/{photoId}': async (event, owner) =>
+    jsonResponse(200, await removePhoto(getPathParam(event, 'id'), owner, getPathParam(event, 'photoId'))),
+};
+
+exports.handler = instrument('collections', async (event) => {
+  try {
+    const route = ROUTES[`${event.httpMethod} ${event.resource}`];
+    if (!route) {
+      return jsonResponse(404, { message: 'Not found' });
+    }
+    const owner = collectionOwner(event);
+    return await route(event, owner, await accessScope(callerFromEvent(event)));
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('collections failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+});
@@ -0,0 +1,30 @@
+// handlers/createDownload.js
+'use strict';
+
+const { HttpError, jsonResponse, parseJsonBody } = require('../lib/http');
+const { createDownload } = require('../lib/downloads');
+const { callerFromEvent, accessScope } = require('../lib/access');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+
+// POST /downloads - queue a ZIP of the hi-res originals for a list of photo IDs
+// ({ "ids": [...] }) or a /photos filter selection ({ "filters": { "Team": ["X"] } })
+exports.handler = instrument('createDownload', async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    const caller = callerFromEvent(event);
+    const job = await createDownload(body, {
+      actor: caller.principalId,
+      scope: await accessScope(caller),
+    });
+    logger.info('Download created', { downloadId: job.id, photoCount: job.photoCount });
+
+    return jsonResponse(202, job, { Location: `/downloads/${job.id}` });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('createDownload failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+});
@@ -0,0 +1,29 @@
+// handlers/deletePhoto.js
+'use strict';
+
+const { HttpError, jsonResponse, getPathParam } = require('../lib/http');
+const { deletePhoto, editContext } = require('../lib/photoEdits');
+const { callerFromEvent, requireEditor, accessScope } = require('../lib/access');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+
+// DELETE /photos/{id} - remove a photo, its filter counts, vector row and Qdrant point
+exports.handler = instrument('deletePhoto', async (event) => {
+  try {
+    const caller = requireEditor(callerFromEvent(event));
+    const photoId = getPathParam(event, 'id');
+    const context = editContext(event);
+    const scope = await accessScope(caller);
+
+    await deletePhoto(photoId, { ...context, scope });
+    logger.info('Photo deleted', { photoId, batchId: context.batchId });
+
+    return jsonResponse(200, { id: photoId, deleted: true, batchId: context.batchId });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('deletePhoto failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+});
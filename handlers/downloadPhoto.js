@@ -0,0 +1,50 @@
+// handlers/downloadPhoto.js
+'use strict';
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { HttpError, NotFoundError, jsonResponse, getPathParam } = require('../lib/http');
+const { hiResDownloadUrl } = require('../lib/photoShape');
+const { callerFromEvent, accessScope } = require('../lib/access');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+const { withDynamoMetrics } = require('../lib/metrics');
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+
+// GET /photos/{id}/download - redirect to a freshly presigned URL for the original
+exports.handler = instrument('downloadPhoto', async (event) => {
+  try {
+    const photoId = getPathParam(event, 'id');
+    const [{ Item }, scope] = await Promise.all([
+      ddb.send(new GetCommand({
+        TableName: process.env.TABLE_NAME,
+        Key: { Key: photoId },
+        ProjectionExpression: '#key, #year, #event',
+        ExpressionAttributeNames: { '#key': 'Key', '#year': 'Year', '#event': 'Event' },
+      })),
+      accessScope(callerFromEvent(event)),
+    ]);
+    if (!Item || !scope.canSee(Item)) {
+      throw new NotFoundError('Photo not found');
+    }
+
+    return {
+      statusCode: 302,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-store', // The target URL expires
+        Location: await hiResDownloadUrl(photoId),
+      },
+      body: '',
+    };
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('downloadPhoto failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+});
@@ -0,0 +1,22 @@
+// handlers/getDownload.js
+'use strict';
+
+const { HttpError, jsonResponse, getPathParam } = require('../lib/http');
+const { getDownload } = require('../lib/downloads');
+const { callerFromEvent } = require('../lib/access');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+
+// GET /downloads/{id} - job status, with a presigned URL once the archive is ready
+exports.handler = instrument('getDownload', async (event) => {
+  try {
+    const job = await getDownload(getPathParam(event, 'id'), { actor: callerFromEvent(event).principalId });
+    return jsonResponse(200, job, { 'Cache-Control': 'no-store' });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('getDownload failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+});
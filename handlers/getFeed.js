@@ -0,0 +1,130 @@
+// handlers/getFeed.js
+'use strict';
+
+const { parseQueryParams, filtersFromParams } = require('../lib/photoQuery');
+const { fetchRecentPhotos } = require('../lib/recentPhotos');
+const { FEED_FORMATS } = require('../lib/feeds');
+const { HttpError, BadRequestError, jsonResponse, getHeader } = require('../lib/http');
+const { callerFromEvent, accessScope } = require('../lib/access');
+const { toPhoto, urlEpoch } = require('../lib/photoShape');
+const { getDatasetVersion } = require('../lib/datasetVersion');
+const { computeEtag, cacheHeaders, isNotModified, notModifiedResponse, compressResponse } = require('../lib/httpCache');
+const { logger } = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
+const { instrument } = require('../lib/instrument');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const FEED_TITLE = process.env.FEED_TITLE || 'New photos';
+
+// Viewer page of one photo, e.g. https://photos.example.com/photo/{id}. Without
+// it entries link to the original through GET /photos/{id}/download.
+const PHOTO_PAGE_URL = process.env.PHOTO_PAGE_URL || '';
+
+// Query params of the feeds that are not photo filters
+const RESERVED_PARAMS = ['limit'];
+
+// Selection shown in the feed title, in hierarchy order
+const TITLE_ATTRIBUTES = ['Year', 'Event', 'Day', 'Team'];
+
+function parseLimit(value) {
+  if (value === undefined) return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new BadRequestError('limit must be a positive integer');
+  }
+  return Math.min(limit, MAX_LIMIT);
+}
+
+// Public base URL of this API, including the stage or custom domain base path
+function apiBaseUrl(event) {
+  const fullPath = event.requestContext?.path || event.path || '';
+  const basePath = event.path && fullPath.endsWith(event.path) ? fullPath.slice(0, -event.path.length) : '';
+  return `https://${getHeader(event, 'Host')}${basePath}`;
+}
+
+function selfUrl(event, raw) {
+  const query = new URLSearchParams();
+  Object.keys(raw).forEach(name => raw[name].forEach(value => query.append(name, value)));
+  const queryString = query.toString();
+  return `${apiBaseUrl(event)}${event.path}${queryString ? `?${queryString}` : ''}`;
+}
+
+// "New photos: 2024 / Spring Regatta / Blue" for the positive selections
+function feedTitle(filters) {
+  const selected = TITLE_ATTRIBUTES
+    .map(attr => filters.find(filter => filter.attr === attr && filter.op === 'in'))
+    .filter(Boolean)
+    .map(filter => filter.values.join(', '));
+  return selected.length ? `${FEED_TITLE}: ${selected.join(' / ')}` : FEED_TITLE;
+}
+
+async function toEntry(item, baseUrl) {
+  const photo = await toPhoto(item);
+  const encodedId = encodeURIComponent(item.Key);
+  const originalUrl = `${baseUrl}/photos/${encodedId}/download`;
+  return {
+    id: `${baseUrl}/photos/${encodedId}`,
+    title: item.Key.split('/').pop(),
+    link: PHOTO_PAGE_URL ? PHOTO_PAGE_URL.replace('{id}', encodedId) : originalUrl,
+    originalUrl,
+    thumbnailUrl: photo.thumbnailUrl,
+    updated: item.UploadedAt,
+    summary: [item.Year, item.Event, item.Day != null ? `Day ${item.Day}` : null, item.Team].filter(Boolean).join(' · '),
+    categories: [item.Event, item.Team, ...[].concat(item.Misc ?? [])].filter(Boolean),
+  };
+}
+
+// GET /feeds/photos.atom and /feeds/photos.rss?Year=&Event=&Day=&Team=&limit= -
+// the newest uploads matching the same filters as /photos
+exports.handler = instrument('getFeed', async (event) => {
+  try {
+    const format = FEED_FORMATS[String(event.resource || event.path).endsWith('.rss') ? 'rss' : 'atom'];
+    const raw = parseQueryParams(event);
+    const limit = parseLimit((raw.limit || []).slice(-1)[0]);
+    const requested = filtersFromParams(raw, RESERVED_PARAMS);
+
+    const caller = callerFromEvent(event);
+    const [scope, version] = await Promise.all([accessScope(caller), getDatasetVersion()]);
+
+    // Every upload bumps the dataset version, so an unchanged feed is a 304
+    const cache = cacheHeaders(computeEtag(event, [version, scope.filters, urlEpoch()]), caller);
+    if (isNotModified(event, cache.ETag)) {
+      return notModifiedResponse(cache);
+    }
+
+    const items = await fetchRecentPhotos([...requested, ...scope.filters], { limit });
+    const baseUrl = apiBaseUrl(event);
+    const entries = await Promise.all(items.map(item => toEntry(item, baseUrl)));
+    metrics.count('ResultCount', entries.length);
+
+    const url = selfUrl(event, raw);
+    const updated = entries.length ? entries[0].updated : new Date().toISOString();
+    const body = format.render({
+      id: url,
+      title: feedTitle(requested),
+      selfUrl: url,
+      updated,
+      author: FEED_TITLE,
+      entries,
+    });
+
+    return compressResponse(event, {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': format.contentType,
+        'Last-Modified': new Date(updated).toUTCString(),
+        ...cache,
+      },
+      body,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('getFeed failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+});
@@ -3,15 +3,32 @@
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, QueryCommand } = require('@aws-sdk/lib-dynamodb'); // QueryCommand added
+const { ROOT_PATH, yearPath, eventPath, dayPath } = require('../lib/filterPaths');
+const { fetchPhotoItems } = require('../lib/photoQuery');
+const { callerFromEvent, accessScope } = require('../lib/access');
+const { jsonResponse } = require('../lib/http');
+const { getDatasetVersion } = require('../lib/datasetVersion');
+const { createVersionedCache } = require('../lib/versionedCache');
+const { computeEtag, cacheHeaders, isNotModified, notModifiedResponse, compressResponse } = require('../lib/httpCache');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+const { metrics, withDynamoMetrics } = require('../lib/metrics');
 
 const client = new DynamoDBClient({});
-const ddbDocClient = DynamoDBDocumentClient.from(client);
+const ddbDocClient = withDynamoMetrics(DynamoDBDocumentClient.from(client));
 
 // Define the filter groups in order of hierarchy
 // const FILTER_GROUPS_HIERARCHY = ['Year', 'Event', 'Day', 'Team', 'Misc']; // Not directly used in query logic but good for reference
 const FILTERS_TABLE_NAME = process.env.FILTERS_TABLE_NAME || 'PhotoViewerFilters'; // Get from env or default
 
-async function queryFilters(parentPath, filterTypePrefix) {
+// Facet lists stay warm in the container until the dataset version changes
+const facetCache = createVersionedCache({
+  name: 'Facets',
+  ttlMs: parseInt(process.env.FILTERS_CACHE_TTL_MS) || 300000,
+  maxEntries: 5000,
+});
+
+async function loadFilters(parentPath, filterTypePrefix) {
   const params = {
     TableName: FILTERS_TABLE_NAME,
     KeyConditionExpression: 'ParentPath = :pp AND begins_with(SK, :sk_prefix)',
@@ -22,17 +39,91 @@ async function queryFilters(parentPath, filterTypePrefix) {
     ProjectionExpression: 'ActualFilterValue, PhotoCount', // Only fetch needed attributes
   };
 
+  const command = new QueryCommand(params);
+  const response = await ddbDocClient.send(command);
+  // Filter out items with PhotoCount <= 0, as they shouldn't be selectable
+  return (response.Items || [])
+    .filter(item => item.PhotoCount > 0)
+    .map(item => ({ value: item.ActualFilterValue, count: item.PhotoCount }));
+}
+
+// Returns the facet values under a parent path as [{ value, count }]
+async function queryFilters(parentPath, filterTypePrefix) {
   try {
-    const command = new QueryCommand(params);
-    const response = await ddbDocClient.send(command);
-    // Filter out items with PhotoCount <= 0, as they shouldn't be selectable
-    return (response.Items || []).filter(item => item.PhotoCount > 0).map(item => item.ActualFilterValue).sort();
+    return await facetCache.getOrLoad(`${parentPath}|${filterTypePrefix}`, () => loadFilters(parentPath, filterTypePrefix));
   } catch (error) {
-    console.error(`Error querying PhotoViewerFilters for ParentPath '${parentPath}' and SK prefix '${filterTypePrefix}':`, error);
-    return []; // Return empty array on error to prevent breaking the entire filter chain
+    logger.error('Error querying PhotoViewerFilters', { parentPath, filterTypePrefix, error });
+    throw error; // Empty facets would be cached as this version's answer
   }
 }
 
+// Combine facet lists from several parent paths, summing the counts of equal values
+const mergeFacets = (results) => {
+  const counts = new Map();
+  results.flat().forEach(({ value, count }) => {
+    counts.set(value, (counts.get(value) || 0) + count);
+  });
+  return [...counts.entries()].map(([value, count]) => ({ value, count }));
+};
+
+// Count Team and Misc values over the photos of the selected days, where each
+// facet only counts photos that also match the other facet's current selection.
+// PhotoViewerFilters only holds per-facet totals, so this has to read photoViewer.
+async function crossFilterCounts(selectedYears, selectedEvents, selectedDays, selectedTeams, selectedMisc, accessFilters) {
+  const { items } = await fetchPhotoItems([
+    { attr: 'Year', op: 'in', values: selectedYears },
+    { attr: 'Event', op: 'in', values: selectedEvents },
+    { attr: 'Day', op: 'in', values: selectedDays },
+    ...accessFilters,
+  ]);
+
+  const teamCounts = new Map(selectedTeams.map(team => [team, 0]));
+  const miscCounts = new Map(selectedMisc.map(misc => [misc, 0]));
+  items.forEach(item => {
+    const miscValues = [].concat(item.Misc ?? []);
+    const matchesTeam = !selectedTeams.length || selectedTeams.includes(item.Team);
+    const matchesMisc = !selectedMisc.length || miscValues.some(misc => selectedMisc.includes(misc));
+
+    if (matchesMisc && item.Team != null) {
+      teamCounts.set(item.Team, (teamCounts.get(item.Team) || 0) + 1);
+    }
+    if (matchesTeam) {
+      miscValues.forEach(misc => miscCounts.set(misc, (miscCounts.get(misc) || 0) + 1));
+    }
+  });
+
+  // Selected values stay in the list even when the other selection leaves them at 0
+  const toFacets = (counts, selected) => [...counts.entries()]
+    .filter(([value, count]) => count > 0 || selected.includes(value))
+    .map(([value, count]) => ({ value, count }));
+
+  return {
+    team: toFacets(teamCounts, selectedTeams),
+    misc: toFacets(miscCounts, selectedMisc),
+  };
+}
+
+// Year facets the caller may see. A year's count includes its private events,
+// so the photos of events hidden from the caller are taken out of it.
+async function visibleYearFacets(scope) {
+  const years = (await queryFilters(ROOT_PATH, 'YEAR#')).filter(year => scope.canSeeYear(year.value));
+  const adjusted = await Promise.all(years.map(async year => {
+    if (!scope.hidesEventsIn(year.value)) return year;
+    const events = await queryFilters(yearPath(year.value), 'EVENT#');
+    const hiddenCount = events
+      .filter(eventFacet => !scope.canSeeEvent(year.value, eventFacet.value))
+      .reduce((sum, eventFacet) => sum + eventFacet.count, 0);
+    return { value: year.value, count: year.count - hiddenCount };
+  }));
+  return adjusted.filter(year => year.count > 0);
+}
+
+const isFlagSet = (event, paramName) => {
+  const multi = event.multiValueQueryStringParameters?.[paramName];
+  const value = multi ? multi[multi.length - 1] : event.queryStringParameters?.[paramName];
+  return value === 'true' || value === '1';
+};
+
 const getQueryParamAsArray = (event, paramName) => {
   const lowerParam = paramName.toLowerCase();
   const titleParam = paramName.charAt(0).toUpperCase() + paramName.slice(1).toLowerCase();
@@ -54,9 +145,7 @@ const getQueryParamAsArray = (event, paramName) => {
   return values.filter(v => v !== null && v !== undefined && v !== ''); // Filter out empty/null values
 };
 
-exports.handler = async (event) => {
-  console.log('getFilters event:', JSON.stringify(event, null, 2));
-
+exports.handler = instrument('getFilters', async (event) => {
   const filters = {
     Year: [],
     Event: [],
@@ -65,12 +154,33 @@ exports.handler = async (event) => {
     Misc: [],
   };
 
-  const selectedYears = getQueryParamAsArray(event, 'year');
+  // Private Years/Events the caller has no access to are treated as if they did not exist
+  const caller = callerFromEvent(event);
+  let scope, version;
+  try {
+    [scope, version] = await Promise.all([accessScope(caller), getDatasetVersion()]);
+  } catch (error) {
+    logger.error('Error loading access rules or dataset version', { error });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+
+  // Facets only change with the dataset, so a client holding this version's answer gets a 304
+  const cache = cacheHeaders(computeEtag(event, [version, scope.filters]), caller);
+  if (isNotModified(event, cache.ETag)) {
+    return notModifiedResponse(cache);
+  }
+
+  const selectedYears = getQueryParamAsArray(event, 'year').filter(scope.canSeeYear);
   const selectedEvents = getQueryParamAsArray(event, 'event');
   const selectedDays = getQueryParamAsArray(event, 'day');
+  const selectedTeams = getQueryParamAsArray(event, 'team');
+  const selectedMisc = getQueryParamAsArray(event, 'misc');
+
+  // crossFilter=true makes Team and Misc counts respect each other's selection
+  const crossFilter = isFlagSet(event, 'crossFilter');
 
   const promisesToResolve = {
-    yearPromise: queryFilters('ROOT', 'YEAR#'),
+    yearPromise: visibleYearFacets(scope),
     eventPromise: Promise.resolve([]), // Default to empty if not selected
     dayPromise: Promise.resolve([]),   // Default to empty
     teamPromise: Promise.resolve([]),  // Default to empty
@@ -78,10 +188,9 @@ exports.handler = async (event) => {
   };
 
   if (selectedYears.length > 0) {
-    const eventPromises = selectedYears.map(year => queryFilters(`YEAR#${year}`, 'EVENT#'));
-    promisesToResolve.eventPromise = Promise.all(eventPromises).then(results => 
-      [...new Set(results.flat())].sort()
-    );
+    const eventPromises = selectedYears.map(year => queryFilters(yearPath(year), 'EVENT#')
+      .then(events => events.filter(eventFacet => scope.canSeeEvent(year, eventFacet.value))));
+    promisesToResolve.eventPromise = Promise.all(eventPromises).then(mergeFacets);
   } else {
     promisesToResolve.eventPromise = Promise.resolve([]); // No year selected, no events
   }
@@ -89,35 +198,35 @@ exports.handler = async (event) => {
   if (selectedYears.length > 0 && selectedEvents.length > 0) {
     const dayPromises = [];
     selectedYears.forEach(year => {
-      selectedEvents.forEach(eventVal => {
-        dayPromises.push(queryFilters(`YEAR#${year}#EVENT#${eventVal}`, 'DAY#'));
+      selectedEvents.filter(eventVal => scope.canSeeEvent(year, eventVal)).forEach(eventVal => {
+        dayPromises.push(queryFilters(eventPath(year, eventVal), 'DAY#'));
       });
     });
-    promisesToResolve.dayPromise = Promise.all(dayPromises).then(results => 
-      [...new Set(results.flat())].sort()
-    );
+    promisesToResolve.dayPromise = Promise.all(dayPromises).then(mergeFacets);
   } else {
     promisesToResolve.dayPromise = Promise.resolve([]);
   }
 
-  if (selectedYears.length > 0 && selectedEvents.length > 0 && selectedDays.length > 0) {
+  const daysSelected = selectedYears.length > 0 && selectedEvents.length > 0 && selectedDays.length > 0;
+
+  if (daysSelected && crossFilter && (selectedTeams.length > 0 || selectedMisc.length > 0)) {
+    const countsPromise = crossFilterCounts(selectedYears, selectedEvents, selectedDays, selectedTeams, selectedMisc, scope.filters);
+    promisesToResolve.teamPromise = countsPromise.then(counts => counts.team);
+    promisesToResolve.miscPromise = countsPromise.then(counts => counts.misc);
+  } else if (daysSelected) {
     const teamPromises = [];
     const miscPromises = [];
     selectedYears.forEach(year => {
-      selectedEvents.forEach(eventVal => {
+      selectedEvents.filter(eventVal => scope.canSeeEvent(year, eventVal)).forEach(eventVal => {
         selectedDays.forEach(day => {
-          const parentPath = `YEAR#${year}#EVENT#${eventVal}#DAY#${day}`;
+          const parentPath = dayPath(year, eventVal, day);
           teamPromises.push(queryFilters(parentPath, 'TEAM#'));
           miscPromises.push(queryFilters(parentPath, 'MISC#'));
         });
       });
     });
-    promisesToResolve.teamPromise = Promise.all(teamPromises).then(results => 
-      [...new Set(results.flat())].sort()
-    );
-    promisesToResolve.miscPromise = Promise.all(miscPromises).then(results => 
-      [...new Set(results.flat())].sort()
-    );
+    promisesToResolve.teamPromise = Promise.all(teamPromises).then(mergeFacets);
+    promisesToResolve.miscPromise = Promise.all(miscPromises).then(mergeFacets);
   } else {
     promisesToResolve.teamPromise = Promise.resolve([]);
     promisesToResolve.miscPromise = Promise.resolve([]);
@@ -139,27 +248,28 @@ exports.handler = async (event) => {
     filters.Misc = miscData;
 
   } catch (error) {
-    console.error('Error resolving filter queries:', error);
-    // If any query fails, this will catch it. Depending on requirements,
-    // you might want to return a 500 error or partial data.
-    // For now, it will proceed with potentially empty arrays for failed queries (as queryFilters returns [] on error).
+    // Only a complete answer may carry the version ETag and be cached
+    logger.error('Error resolving filter queries', { error });
+    return jsonResponse(500, { message: 'Internal server error' });
   }
 
-  // Ensure all filter arrays are sorted (though queryFilters already sorts them, this is a safeguard)
+  // Ensure all facet arrays are sorted by value
   for (const key in filters) {
     if (Array.isArray(filters[key])) {
-      filters[key].sort((a, b) => String(a).localeCompare(String(b))); // Ensure consistent sorting
+      filters[key].sort((a, b) => String(a.value).localeCompare(String(b.value))); // Ensure consistent sorting
     }
   }
 
-  console.log('Returning filters:', JSON.stringify(filters, null, 2));
+  logger.debug('Returning filters', { filters });
+  metrics.count('ResultCount', Object.values(filters).reduce((sum, facets) => sum + facets.length, 0));
 
-  return {
+  return compressResponse(event, {
     statusCode: 200,
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Credentials': true, // If you use cookies or auth headers
+      ...cache,
     },
     body: JSON.stringify(filters),
-  };
-};
+  });
+});
@@ -0,0 +1,151 @@
+// handlers/getPhoto.js
+'use strict';
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { parseQueryParams, fetchPhotoItems } = require('../lib/photoQuery');
+const { searchSimilar, similarPage } = require('../lib/similarPhotos');
+const { HttpError, BadRequestError, NotFoundError, jsonResponse, getPathParam } = require('../lib/http');
+const { callerFromEvent, accessScope } = require('../lib/access');
+const { toPhoto, urlEpoch } = require('../lib/photoShape');
+const { makeComparator } = require('../lib/photoSort');
+const { getDatasetVersion } = require('../lib/datasetVersion');
+const { createVersionedCache } = require('../lib/versionedCache');
+const { computeEtag, cacheHeaders, isNotModified, notModifiedResponse, compressResponse } = require('../lib/httpCache');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+const { metrics, withDynamoMetrics } = require('../lib/metrics');
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+
+// Most similar photos includeSimilar may embed; /similar pages through more
+const MAX_INLINE_SIMILAR = 20;
+
+// Key, Team and TakenAt of every photo of a day, in viewing order, so stepping through
+// a day with previous/next reads it once per dataset version
+const dayCache = createVersionedCache({
+  name: 'PhotoDays',
+  ttlMs: parseInt(process.env.PHOTOS_CACHE_TTL_MS) || 300000,
+  maxEntries: 50,
+});
+
+// Same order as /photos?sort=TakenAt: capture time, undated photos last, then Key
+const captureOrder = makeComparator({ field: 'TakenAt', order: 'asc' });
+
+const getSingleParam = (raw, name) => {
+  const vals = raw[name];
+  return vals && vals.length ? vals[vals.length - 1] : undefined;
+};
+
+function parseIncludeSimilar(value) {
+  if (value === undefined || value === '') return 0;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0 || count > MAX_INLINE_SIMILAR) {
+    throw new BadRequestError(`includeSimilar must be an integer between 0 and ${MAX_INLINE_SIMILAR}`);
+  }
+  return count;
+}
+
+// The photo's place in the Year -> Event -> Day -> Team hierarchy, top down
+const hierarchyPath = (item) => ['Year', 'Event', 'Day', 'Team']
+  .filter(type => item[type] != null)
+  .map(type => ({ type, value: item[type] }));
+
+// Previous and next photo of the same Event/Day (and Team with sameTeam) the caller may see
+async function neighbours(item, scope, sameTeam) {
+  if (item.Year == null || item.Event == null || item.Day == null) {
+    return { previousId: null, nextId: null, position: null, total: null };
+  }
+
+  const filters = [
+    { attr: 'Year', op: 'in', values: [item.Year] },
+    { attr: 'Event', op: 'in', values: [item.Event] },
+    { attr: 'Day', op: 'in', values: [item.Day] },
+    ...scope.filters,
+  ];
+  const day = await dayCache.getOrLoad(JSON.stringify(filters), async () => {
+    const { items } = await fetchPhotoItems(filters);
+    return items.map(({ Key, Team, TakenAt }) => ({ Key, Team, TakenAt })).sort(captureOrder);
+  });
+
+  const sequence = sameTeam ? day.filter(photo => photo.Team === item.Team) : day;
+  const index = sequence.findIndex(photo => photo.Key === item.Key);
+  if (index === -1) {
+    // Retagged since the day was cached; the next version bump catches up
+    return { previousId: null, nextId: null, position: null, total: sequence.length };
+  }
+  return {
+    previousId: index > 0 ? sequence[index - 1].Key : null,
+    nextId: index < sequence.length - 1 ? sequence[index + 1].Key : null,
+    position: index + 1,
+    total: sequence.length,
+  };
+}
+
+// Top similar photos, best effort: a photo without a vector yet (or a vector
+// backend failure) leaves the detail intact with no similar photos
+async function inlineSimilar(photoId, scope, count) {
+  const paging = { offset: 0, diversity: 0 };
+  try {
+    const { backend, searchResults } = await searchSimilar(photoId, { limit: count, filters: scope.filters, paging });
+    const { photos } = await similarPage(searchResults, [photoId], paging, count);
+    return { backend, photos };
+  } catch (error) {
+    if (error instanceof NotFoundError) return { backend: null, photos: [] };
+    if (error instanceof HttpError) throw error;
+    logger.warn('Similar photos unavailable', { photoId, error: error.message });
+    return { backend: null, photos: [] };
+  }
+}
+
+// GET /photos/{id}?sameTeam=true&includeSimilar=n - one photo with its hierarchy
+// path, its previous/next photo within the day and optionally its most similar photos
+exports.handler = instrument('getPhoto', async (event) => {
+  try {
+    const photoId = getPathParam(event, 'id');
+    const raw = parseQueryParams(event);
+    const sameTeam = getSingleParam(raw, 'sameTeam') === 'true';
+    const includeSimilar = parseIncludeSimilar(getSingleParam(raw, 'includeSimilar'));
+
+    const caller = callerFromEvent(event);
+    const [scope, version] = await Promise.all([accessScope(caller), getDatasetVersion()]);
+
+    // As with /similar, vectors written straight to Qdrant do not move the dataset version
+    const cache = cacheHeaders(computeEtag(event, [version, scope.filters, urlEpoch()]), caller);
+    if (isNotModified(event, cache.ETag)) {
+      return notModifiedResponse(cache);
+    }
+
+    const { Item: item } = await ddb.send(new GetCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: { Key: photoId },
+    }));
+    if (!item || !scope.canSee(item)) {
+      throw new NotFoundError('Photo not found');
+    }
+
+    const [photo, position, similar] = await Promise.all([
+      toPhoto(item),
+      neighbours(item, scope, sameTeam),
+      includeSimilar ? inlineSimilar(photoId, scope, includeSimilar) : undefined,
+    ]);
+    metrics.count('ResultCount', 1 + (similar ? similar.photos.length : 0));
+
+    return compressResponse(event, jsonResponse(200, {
+      photo,
+      path: hierarchyPath(item),
+      ...position,
+      sameTeam,
+      similar: similar && similar.photos,
+      similarBackend: similar ? similar.backend : undefined,
+    }, cache));
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('getPhoto failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+});
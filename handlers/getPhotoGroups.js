@@ -0,0 +1,54 @@
+// handlers/getPhotoGroups.js
+'use strict';
+
+const { parseQueryParams, filtersFromParams, fetchPhotoItems } = require('../lib/photoQuery');
+const { parseThreshold, assertNarrowSelection, assertGroupable, loadVectors, groupPhotos } = require('../lib/photoGroups');
+const { HttpError, jsonResponse } = require('../lib/http');
+const { toPhoto } = require('../lib/photoShape');
+const { callerFromEvent, accessScope } = require('../lib/access');
+const { logger } = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
+const { instrument } = require('../lib/instrument');
+
+// Query params of /photos/groups that are not photo filters
+const RESERVED_PARAMS = ['threshold'];
+
+// GET /photos/groups?Year=&Event=&Day=&Team=&threshold= - near-duplicate and
+// burst groups among the matching photos, each with a representative photo
+exports.handler = instrument('getPhotoGroups', async (event) => {
+  try {
+    const raw = parseQueryParams(event);
+    const threshold = parseThreshold((raw.threshold || [])[0]);
+    const requestedFilters = filtersFromParams(raw, RESERVED_PARAMS);
+    assertNarrowSelection(requestedFilters);
+    const scope = await accessScope(callerFromEvent(event));
+    const filters = [...requestedFilters, ...scope.filters];
+
+    const { items, accessPath } = await fetchPhotoItems(filters);
+    assertGroupable(items.length);
+    const vectors = await loadVectors(items.map(item => item.Key));
+    logger.info('Grouping photos', { photos: items.length, withVectors: vectors.size, threshold });
+
+    const groups = await Promise.all(groupPhotos(items, vectors, threshold).map(async group => ({
+      id: group.representative.Key,
+      representative: await toPhoto(group.representative),
+      size: group.items.length,
+      photos: await Promise.all(group.items.map(toPhoto)),
+    })));
+    metrics.count('ResultCount', groups.length);
+
+    return jsonResponse(200, {
+      groups,
+      threshold,
+      totalPhotos: items.length,
+      totalGroups: groups.length,
+      accessPath,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('getPhotoGroups failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+});
@@ -1,95 +1,192 @@
 // handlers/getPhotos.js
 'use strict';
 
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const {
-  DynamoDBDocumentClient,
-  ScanCommand
-} = require('@aws-sdk/lib-dynamodb');
-
-const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
-  marshallOptions: { removeUndefinedValues: true },
+const { parseQueryParams, filtersFromParams, fetchPhotoItems } = require('../lib/photoQuery');
+const { HttpError, BadRequestError, jsonResponse } = require('../lib/http');
+const { callerFromEvent, accessScope } = require('../lib/access');
+const { toPhoto, urlEpoch } = require('../lib/photoShape');
+const { parseThreshold, assertGroupable, loadVectors, groupPhotos } = require('../lib/photoGroups');
+const { makeComparator } = require('../lib/photoSort');
+const { getDatasetVersion } = require('../lib/datasetVersion');
+const { createVersionedCache } = require('../lib/versionedCache');
+const { computeEtag, cacheHeaders, isNotModified, notModifiedResponse, compressResponse } = require('../lib/httpCache');
+const { logger } = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
+const { instrument } = require('../lib/instrument');
+
+// Paging defaults - keep pages well under the 6 MB Lambda response limit
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Attributes the client may sort by; Key is always the tie-breaker so the order is total.
+// TakenAt is the EXIF capture time; photos without one sort last.
+const SORT_FIELDS = ['Key', 'Day', 'Team', 'TakenAt'];
+
+// Matched items per filter set, so paging through a result does not re-read
+// the table for every page. Few entries: a Scan result can be the whole table.
+const matchCache = createVersionedCache({
+  name: 'PhotoMatches',
+  ttlMs: parseInt(process.env.PHOTOS_CACHE_TTL_MS) || 300000,
+  maxEntries: 20,
 });
 
-const S3_BASE = 'https://trackphotos-eu-west-1.s3.eu-west-1.amazonaws.com';
+// Query params that control paging/sorting and must never be treated as photo attributes
+const RESERVED_PARAMS = ['limit', 'cursor', 'sort', 'order', 'representatives', 'groupThreshold', 'takenFrom', 'takenTo'];
+
+// Read a single-valued reserved param from either query string shape
+const getSingleParam = (raw, name) => {
+  const vals = raw[name];
+  return vals && vals.length ? vals[vals.length - 1] : undefined;
+};
+
+function parseLimit(value) {
+  if (value === undefined) return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new BadRequestError('limit must be a positive integer');
+  }
+  return Math.min(limit, MAX_LIMIT);
+}
+
+function parseSort(sortValue, orderValue) {
+  const field = sortValue || 'Key';
+  if (!SORT_FIELDS.includes(field)) {
+    throw new BadRequestError(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  const order = (orderValue || 'asc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw new BadRequestError('order must be asc or desc');
+  }
+  return { field, order };
+}
+
+// takenFrom/takenTo: a date, or a date and time, in camera-local time like the
+// stored TakenAt (2024-05-01, 2024-05-01T10:00, 2024-05-01T10:00:30). Both ends
+// are inclusive, so takenTo=2024-05-01T10:30 includes 10:30:59.
+const TAKEN_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/;
 
-exports.handler = async (event) => {
+function parseTakenBound(value, name, fill) {
+  if (value === undefined || value === '') return undefined;
+  if (!TAKEN_PATTERN.test(value)) {
+    throw new BadRequestError(`${name} must be a local date or date-time like 2024-05-01T10:00`);
+  }
+  return value + fill.slice(value.length - 10);
+}
+
+// Capture time conditions for the filter list (see lib/photoQuery.js)
+function parseTakenRange(fromValue, toValue) {
+  const from = parseTakenBound(fromValue, 'takenFrom', 'T00:00:00');
+  const to = parseTakenBound(toValue, 'takenTo', 'T23:59:59');
+  if (from && to && from > to) {
+    throw new BadRequestError('takenFrom must not be after takenTo');
+  }
+  const conditions = [];
+  if (from) conditions.push({ attr: 'TakenAt', op: 'gte', values: [from] });
+  if (to) conditions.push({ attr: 'TakenAt', op: 'lte', values: [to] });
+  return conditions;
+}
+
+// Cursors are opaque to the client: base64url JSON holding the sort position of the last item served
+function encodeCursor(sort, item) {
+  const position = { s: sort.field, o: sort.order, v: item[sort.field] ?? null, k: item.Key };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+// Returns the cursor position as a stand-in item so it can be compared like any other
+function decodeCursor(cursor, sort) {
+  let position;
   try {
-    // Parse query params (v2 HTTP API vs v1 REST)
-    const raw = event.multiValueQueryStringParameters
-      || Object.entries(event.queryStringParameters || {}).reduce((acc, [k,v]) => {
-           acc[k] = v==null ? [] : Array.isArray(v) ? v : [v];
-           return acc;
-         }, {})
-      || {};
-
-    // Build FilterExpression (same as getFilters)
-    let FilterExpression, ExpressionAttributeNames, ExpressionAttributeValues;
-    if (Object.keys(raw).length) {
-      ExpressionAttributeNames  = {};
-      ExpressionAttributeValues = {};
-      const clauses = [];
-      for (const [key, vals] of Object.entries(raw)) {
-        ExpressionAttributeNames[`#${key}`] = key;
-        const phs = vals.map((v,i) => {
-          const ph = `:${key}${i}`;
-          ExpressionAttributeValues[ph] = v;
-          return ph;
-        });
-        clauses.push(`#${key} IN (${phs.join(',')})`);
-      }
-      FilterExpression = clauses.join(' AND ');
-    }
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new BadRequestError('cursor is invalid');
+  }
+  if (!position || typeof position.k !== 'string') {
+    throw new BadRequestError('cursor is invalid');
+  }
+  if (position.s !== sort.field || position.o !== sort.order) {
+    throw new BadRequestError('cursor does not match the requested sort');
+  }
+  return { [sort.field]: position.v, Key: position.k };
+}
 
-    // Now do a paginated scan
-    let items = [];
-    let lastKey = undefined;
+exports.handler = instrument('getPhotos', async (event) => {
+  try {
+    const raw = parseQueryParams(event);
 
-    do {
-      const params = { TableName: process.env.TABLE_NAME };
-      if (FilterExpression) {
-        params.FilterExpression            = FilterExpression;
-        params.ExpressionAttributeNames    = ExpressionAttributeNames;
-        params.ExpressionAttributeValues   = ExpressionAttributeValues;
+    let limit, sort, position, groupThreshold, takenRange;
+    const representativesOnly = getSingleParam(raw, 'representatives') === 'true';
+    try {
+      limit = parseLimit(getSingleParam(raw, 'limit'));
+      sort = parseSort(getSingleParam(raw, 'sort'), getSingleParam(raw, 'order'));
+      const cursor = getSingleParam(raw, 'cursor');
+      position = cursor ? decodeCursor(cursor, sort) : undefined;
+      takenRange = parseTakenRange(getSingleParam(raw, 'takenFrom'), getSingleParam(raw, 'takenTo'));
+      if (representativesOnly) {
+        groupThreshold = parseThreshold(getSingleParam(raw, 'groupThreshold'), 'groupThreshold');
       }
-      if (lastKey) {
-        params.ExclusiveStartKey = lastKey;
+    } catch (err) {
+      if (err instanceof BadRequestError) {
+        return jsonResponse(400, { message: err.message });
       }
+      throw err;
+    }
+
+    // Only the remaining params are photo attribute filters; private events
+    // the caller has no access to are always excluded
+    const caller = callerFromEvent(event);
+    const [scope, version] = await Promise.all([accessScope(caller), getDatasetVersion()]);
+    const filters = [...filtersFromParams(raw, RESERVED_PARAMS), ...takenRange, ...scope.filters];
+
+    const cache = cacheHeaders(computeEtag(event, [version, scope.filters, urlEpoch()]), caller);
+    if (isNotModified(event, cache.ETag)) {
+      return notModifiedResponse(cache);
+    }
 
-      const resp = await ddb.send(new ScanCommand(params));
-      items = items.concat(resp.Items || []);
-      lastKey = resp.LastEvaluatedKey;
-    } while (lastKey);
+    // Sorting and the total count need every match, but only the requested
+    // page is returned to the client
+    const { items: matched, accessPath } = await matchCache.getOrLoad(JSON.stringify(filters), () => fetchPhotoItems(filters));
 
-    console.log(`Scanned total ${items.length} items`);
+    logger.info('Photos matched', { matched: matched.length, accessPath });
+
+    // representatives=true collapses each burst (see /photos/groups) to its representative
+    let items = [...matched]; // Sorted in place below; matched may be a cached array
+    const groupSizes = new Map();
+    if (representativesOnly) {
+      assertGroupable(matched.length);
+      const vectors = await loadVectors(matched.map(item => item.Key));
+      items = groupPhotos(matched, vectors, groupThreshold).map(group => {
+        groupSizes.set(group.representative.Key, group.items.length);
+        return group.representative;
+      });
+    }
+
+    const comparator = makeComparator(sort);
+    items.sort(comparator);
+
+    // Keyset paging: resume strictly after the last item of the previous page
+    const start = position ? items.findIndex(item => comparator(item, position) > 0) : 0;
+    const pageItems = start === -1 ? [] : items.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < items.length;
 
     // Map to your photo shape
-    const photos = items.map(item => {
-      const key = item.Key;
-      return {
-        id:           key,
-        Year:         item.Year,
-        Event:        item.Event,
-        Day:          item.Day,
-        Team:         item.Team,
-        Misc:         item.Misc,
-        thumbnailUrl: `${S3_BASE}/thumbNail/${key}`,
-        hiResUrl:     `${S3_BASE}/hiRes/${key}`,
-      };
-    });
-
-    return {
-      statusCode: 200,
-      headers: { 'Access-Control-Allow-Origin': '*' },
-      body: JSON.stringify(photos),
-    };
+    const photos = await Promise.all(pageItems.map(async item => (representativesOnly
+      ? { ...(await toPhoto(item)), groupSize: groupSizes.get(item.Key) }
+      : toPhoto(item))));
+    metrics.count('ResultCount', photos.length);
+
+    return compressResponse(event, jsonResponse(200, {
+      photos,
+      total: items.length,
+      totalPhotos: representativesOnly ? matched.length : undefined,
+      accessPath,
+      nextCursor: hasMore ? encodeCursor(sort, pageItems[pageItems.length - 1]) : null,
+    }, cache));
 
   } catch (err) {
-    console.error('getPhotos error:', err);
-    return {
-      statusCode: 500,
-      headers: { 'Access-Control-Allow-Origin': '*' },
-      body: JSON.stringify({ message: 'Internal server error' }),
-    };
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('getPhotos failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
   }
-};
+});
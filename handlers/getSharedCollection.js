@@ -0,0 +1,24 @@
+// handlers/getSharedCollection.js
+'use strict';
+
+const { HttpError, jsonResponse, getPathParam } = require('../lib/http');
+const { getSharedCollection } = require('../lib/collections');
+const { callerFromEvent, accessScope } = require('../lib/access');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+
+// GET /shared/{token} - public, read-only view of a collection through its share link
+exports.handler = instrument('getSharedCollection', async (event) => {
+  try {
+    const scope = await accessScope(callerFromEvent(event));
+    const collection = await getSharedCollection(getPathParam(event, 'token'), scope);
+    // hiResUrl values are presigned and expire, so the response must not outlive them
+    return jsonResponse(200, collection, { 'Cache-Control': 'no-store' });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('getSharedCollection failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+});
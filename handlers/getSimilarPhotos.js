@@ -4,41 +4,35 @@
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const {
   DynamoDBDocumentClient,
-  GetCommand,
-  ScanCommand
+  GetCommand
 } = require('@aws-sdk/lib-dynamodb');
-const axios = require('axios');
+const { runVectorOperation } = require('../lib/vectorBackends');
+const { DEFAULT_SIMILARITY_THRESHOLD, MMR_CANDIDATES, candidateOptions, searchSimilar, similarPage } = require('../lib/similarPhotos');
+const { urlEpoch } = require('../lib/photoShape');
+const { callerFromEvent, accessScope } = require('../lib/access');
+const { parseQueryParams, filtersFromParams, filtersFromBody, resolveYearRanges } = require('../lib/photoQuery');
+const { HttpError, BadRequestError, NotFoundError, jsonResponse, parseJsonBody } = require('../lib/http');
+const { getDatasetVersion } = require('../lib/datasetVersion');
+const { computeEtag, cacheHeaders, isNotModified, notModifiedResponse, compressResponse } = require('../lib/httpCache');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+const { metrics, withDynamoMetrics } = require('../lib/metrics');
 
 // Create DynamoDB client
-const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
   marshallOptions: { removeUndefinedValues: true },
-});
-
-// Qdrant API base URL
-const QDRANT_BASE_URL = `http://${process.env.QDRANT_HOST}:${process.env.QDRANT_PORT}`;
-
-// Fallback to mock mode if Qdrant is unreachable
-let useMockMode = false;
-
-// Set timeout for Qdrant requests
-const QDRANT_TIMEOUT_MS = 10000; // 10 seconds timeout
+}));
 
-// S3 base URL for thumbnails and hi-res images
-const S3_BASE = `https://${process.env.S3_BUCKET}.s3.eu-west-1.amazonaws.com`;
+// Query params of /similar that are not photo filters
+const RESERVED_PARAMS = ['id', 'limit', 'threshold', 'offset', 'cursor', 'diversity'];
 
-// Vector table name - separate table for faster vector lookups
-const VECTOR_TABLE_NAME = process.env.VECTOR_TABLE_NAME || 'photoVectors';
-const VECTOR_FIELD = 'Vector';
+// Most positive or negative examples accepted by POST /similar
+const MAX_EXAMPLES = 20;
 
-// Convert a photo key to a stable numeric ID for Qdrant
-function keyToId(key) {
-  // For real Qdrant implementation, we need to use the actual ID format used in Qdrant
-  // This is the same hash function used in the Python notebook
-  const crypto = require('crypto');
-  const sha1 = crypto.createHash('sha1').update(key).digest('hex');
-  const id = BigInt('0x' + sha1) % BigInt(10**18);
-  return Number(id);
-}
+// Page size and depth; both become the number of hits asked of the vector backend
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_OFFSET = 1000;
 
 // Get the photo item from DynamoDB
 async function getPhotoItem(key) {
@@ -48,317 +42,207 @@ async function getPhotoItem(key) {
       TableName: process.env.TABLE_NAME,
       Key: { Key: key }
     }));
-    
+
     return getItemResponse.Item;
   } catch (error) {
-    console.error(`Error getting item for key ${key}:`, error);
+    logger.error('Error getting photo item', { key, error });
     return null;
   }
 }
 
-// Get the vector for a photo from the vector table
-async function getPhotoVector(key) {
+// Opaque "more similar photos" cursor: the next offset and the re-ranking it belongs to
+const encodeCursor = (offset, diversity) =>
+  Buffer.from(JSON.stringify({ o: offset, d: diversity })).toString('base64url');
+
+function decodeCursor(cursor, diversity) {
+  let position;
   try {
-    // Get the vector from the vector table
-    const getItemResponse = await ddb.send(new GetCommand({
-      TableName: VECTOR_TABLE_NAME,
-      Key: { PhotoKey: key }
-    }));
-    
-    if (!getItemResponse.Item) {
-      console.log(`No vector found in vector table for key: ${key}`);
-      return null;
-    }
-    
-    return getItemResponse.Item[VECTOR_FIELD];
-  } catch (error) {
-    console.error(`Error getting vector for key ${key}:`, error);
-    return null;
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new BadRequestError('cursor is invalid');
   }
+  if (!position || !Number.isInteger(position.o) || position.o < 0 || position.o > MAX_OFFSET) {
+    throw new BadRequestError('cursor is invalid');
+  }
+  if (position.d !== diversity) {
+    throw new BadRequestError('cursor does not match the requested diversity');
+  }
+  return position.o;
 }
 
-exports.handler = async (event) => {
-  console.log('getSimilarPhotos invoked');
+function parseLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new BadRequestError('limit must be a positive integer');
+  }
+  return Math.min(limit, MAX_LIMIT);
+}
 
-  try {
-    // Parse query parameters
-    const params = event.queryStringParameters || {};
-    
-    // Required: photo ID to find similar images for
-    const photoId = params.id;
-    if (!photoId) {
-      return {
-        statusCode: 400,
-        headers: { 'Access-Control-Allow-Origin': '*' },
-        body: JSON.stringify({ message: 'Missing required parameter: id' }),
-      };
-    }
-    
-    // Optional parameters with defaults
-    const limit = parseInt(params.limit) || 20;
-    const threshold = parseFloat(params.threshold) || 0.75; // Higher = more similar
-    
-    // 1. Get the photo from DynamoDB to verify it exists
-    const photoItem = await getPhotoItem(photoId);
-    if (!photoItem) {
-      return {
-        statusCode: 404,
-        headers: { 'Access-Control-Allow-Origin': '*' },
-        body: JSON.stringify({ message: 'Photo not found' }),
-      };
+// offset/cursor paging and MMR diversity, from the query string (GET) or body (POST)
+function parsePaging({ offset, cursor, diversity: diversityValue }) {
+  let diversity = 0;
+  if (diversityValue !== undefined && diversityValue !== '') {
+    diversity = Number(diversityValue);
+    if (!Number.isFinite(diversity) || diversity < 0 || diversity > 1) {
+      throw new BadRequestError('diversity must be a number between 0 and 1');
     }
-    
-    let searchResults = [];
-    
-    // If not in mock mode, check if Qdrant is accessible
-    if (!useMockMode) {
-      try {
-        // Try to connect to Qdrant with a short timeout
-        const healthCheckResponse = await axios.get(
-          `${QDRANT_BASE_URL}/collections`,
-          { timeout: QDRANT_TIMEOUT_MS }
-        );
-        
-        // If we can't connect or the collection doesn't exist, fall back to mock mode
-        const collections = healthCheckResponse.data?.result?.collections || [];
-        const collectionExists = collections.some(c => c.name === process.env.COLLECTION_NAME);
-        
-        if (!collectionExists) {
-          console.log(`Collection ${process.env.COLLECTION_NAME} not found in Qdrant, falling back to mock mode`);
-          useMockMode = true;
-        } else {
-          console.log(`Successfully connected to Qdrant, collection ${process.env.COLLECTION_NAME} exists`);
-        }
-      } catch (error) {
-        console.error('Error connecting to Qdrant for health check:', error.message);
-        console.log('Falling back to mock mode due to Qdrant connection error');
-        useMockMode = true;
-      }
-    }
-    
-    if (useMockMode) {
-      console.log('Running in MOCK_MODE, generating mock similar photos');
-      // In mock mode, we'll just query DynamoDB for photos with the same Team
-      const scanParams = {
-        TableName: process.env.TABLE_NAME,
-        FilterExpression: '#team = :team',
-        ExpressionAttributeNames: {
-          '#team': 'Team'
-        },
-        ExpressionAttributeValues: {
-          ':team': photoItem.Team
-        },
-        Limit: limit + 1
-      };
-      
-      const scanResponse = await ddb.send(new ScanCommand(scanParams));
-      const queryPhotoId = keyToId(photoId); // Get the numeric ID of the query photo
-      searchResults = scanResponse.Items.map(item => ({
-        id: queryPhotoId !== keyToId(item.Key) ? keyToId(item.Key) : queryPhotoId + 1, // Ensure we don't match the query image
-        score: Math.random() * 0.5 + 0.5, // Random score between 0.5 and 1.0
-        payload: item
-      }));
-      
-      console.log(`Found ${searchResults.length} mock similar photos with Team=${photoItem.Team}`);
+  }
+
+  if (cursor !== undefined && offset !== undefined) {
+    throw new BadRequestError('Use either offset or cursor, not both');
+  }
+  if (cursor !== undefined) {
+    return { offset: decodeCursor(String(cursor), diversity), diversity };
+  }
+  if (offset === undefined || offset === '') {
+    return { offset: 0, diversity };
+  }
+  const parsedOffset = Number(offset);
+  if (!Number.isInteger(parsedOffset) || parsedOffset < 0 || parsedOffset > MAX_OFFSET) {
+    throw new BadRequestError(`offset must be an integer from 0 to ${MAX_OFFSET}`);
+  }
+  // Diversified pages all come from the top MMR_CANDIDATES hits
+  if (diversity > 0 && parsedOffset >= MMR_CANDIDATES) {
+    throw new BadRequestError(`offset must be below ${MMR_CANDIDATES} when diversity is set`);
+  }
+  return { offset: parsedOffset, diversity };
+}
+
+// Re-rank if asked, cut out the requested page and build the response body
+async function pageResponse(backend, searchResults, excludeKeys, paging, limit) {
+  const { photos, hasMore } = await similarPage(searchResults, excludeKeys, paging, limit);
+  metrics.count('ResultCount', photos.length);
+  const nextOffset = paging.offset + photos.length;
+  return {
+    backend,
+    photos,
+    offset: paging.offset,
+    nextCursor: hasMore && nextOffset <= MAX_OFFSET ? encodeCursor(nextOffset, paging.diversity) : null,
+  };
+}
+
+// Validate one side of a POST /similar body: photo IDs (strings) and/or raw vectors (number arrays)
+function parseExamples(value, name) {
+  if (value === undefined) return { keys: [], vectors: [] };
+  if (!Array.isArray(value)) {
+    throw new BadRequestError(`${name} must be an array of photo IDs and/or vectors`);
+  }
+  if (value.length > MAX_EXAMPLES) {
+    throw new BadRequestError(`${name} accepts at most ${MAX_EXAMPLES} examples`);
+  }
+  const keys = [];
+  const vectors = [];
+  value.forEach(example => {
+    if (typeof example === 'string' && example) {
+      keys.push(example);
+    } else if (Array.isArray(example) && example.length && example.every(Number.isFinite)) {
+      vectors.push(example);
     } else {
-      // Real Qdrant implementation
-      try {
-        // Get the vector from the DynamoDB vector table (much faster than Qdrant lookup)
-        const vector = await getPhotoVector(photoId);
-        
-        if (!vector) {
-          // Fall back to Qdrant lookup if vector not in DynamoDB
-          try {
-            // Use optimized key-based search
-            const searchByKeyResponse = await axios.post(
-              `${QDRANT_BASE_URL}/collections/${process.env.COLLECTION_NAME}/points/scroll`,
-              {
-                filter: {
-                  must: [
-                    {
-                      key: "Key",
-                      match: {
-                        value: photoId
-                      }
-                    }
-                  ]
-                },
-                limit: 1,
-                with_vector: true,
-                with_payload: false  // We don't need the payload for the search
-              },
-              { 
-                timeout: QDRANT_TIMEOUT_MS,
-                headers: {
-                  'Content-Type': 'application/json'
-                }
-              }
-            );
-            
-            if (searchByKeyResponse.data && 
-                searchByKeyResponse.data.result && 
-                searchByKeyResponse.data.result.points && 
-                searchByKeyResponse.data.result.points.length > 0 && 
-                searchByKeyResponse.data.result.points[0].vector) {
-              
-              const point = searchByKeyResponse.data.result.points[0];
-              
-              // Use the vector from Qdrant
-              const qdrantVector = point.vector;
-              
-              // Continue with the Qdrant vector
-              if (qdrantVector && qdrantVector.length > 0) {
-                // Now search for similar vectors using the Qdrant vector
-                const searchResponse = await axios.post(
-                  `${QDRANT_BASE_URL}/collections/${process.env.COLLECTION_NAME}/points/search`,
-                  {
-                    vector: qdrantVector,
-                    limit: limit + 5, // Request a few extra to account for filtering
-                    score_threshold: threshold,
-                    with_payload: true
-                  },
-                  { 
-                    timeout: QDRANT_TIMEOUT_MS,
-                    headers: {
-                      'Content-Type': 'application/json'
-                    }
-                  }
-                );
-                
-                if (searchResponse.data && searchResponse.data.status === 'ok') {
-                  searchResults = searchResponse.data.result || [];
-                  return;
-                }
-              }
-            }
-          } catch (error) {
-            console.error('Error in Qdrant fallback:', error.message);
-          }
-          
-          // If we get here, both vector table and Qdrant fallback failed
-          useMockMode = true;
-          
-          // Re-run the function with mock mode
-          const scanParams = {
-            TableName: process.env.TABLE_NAME,
-            FilterExpression: '#team = :team',
-            ExpressionAttributeNames: {
-              '#team': 'Team'
-            },
-            ExpressionAttributeValues: {
-              ':team': photoItem.Team
-            },
-            Limit: limit + 1
-          };
-          
-          const scanResponse = await ddb.send(new ScanCommand(scanParams));
-          searchResults = scanResponse.Items.map(item => ({
-            id: keyToId(item.Key) !== keyToId(photoId) ? keyToId(item.Key) : keyToId(photoId) + 1,
-            score: Math.random() * 0.5 + 0.5,
-            payload: item
-          }));
-          
-          return;
-        }
-        
-        // Now search for similar vectors using the vector from DynamoDB
-        const searchResponse = await axios.post(
-          `${QDRANT_BASE_URL}/collections/${process.env.COLLECTION_NAME}/points/search`,
-          {
-            vector: vector,
-            limit: limit + 5, // Request a few extra to account for filtering
-            score_threshold: threshold,
-            with_payload: true
-          },
-          { 
-            timeout: QDRANT_TIMEOUT_MS,
-            headers: {
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        
-        if (searchResponse.data && searchResponse.data.status === 'ok') {
-          searchResults = searchResponse.data.result || [];
-        } else {
-          console.error('Qdrant search response error:', searchResponse.data);
-          throw new Error('Invalid response from Qdrant search');
-        }
-      } catch (error) {
-        console.error('Error connecting to Qdrant:', error.message);
-        console.log('Falling back to mock mode due to Qdrant search error');
-        
-        // Fall back to mock mode
-        useMockMode = true;
-        
-        // Re-run the function with mock mode
-        const scanParams = {
-          TableName: process.env.TABLE_NAME,
-          FilterExpression: '#team = :team',
-          ExpressionAttributeNames: {
-            '#team': 'Team'
-          },
-          ExpressionAttributeValues: {
-            ':team': photoItem.Team
-          },
-          Limit: limit + 1
-        };
-        
-        const scanResponse = await ddb.send(new ScanCommand(scanParams));
-        searchResults = scanResponse.Items.map(item => ({
-          id: keyToId(item.Key) !== keyToId(photoId) ? keyToId(item.Key) : keyToId(photoId) + 1,
-          score: Math.random() * 0.5 + 0.5,
-          payload: item
-        }));
-        
-        console.log(`Found ${searchResults.length} mock similar photos with Team=${photoItem.Team}`);
-      }
-    }
-    
-    // 3. Filter out the query image itself and format results
-    const similarPhotos = [];
-    
-    for (const hit of searchResults) {
-      // Get the payload data which contains the photo key
-      const payload = hit.payload || {};
-      const key = payload.Key;
-      
-      // Skip the query image itself or results without a key
-      if (!key || key === photoId) continue;
-      
-      // Format the photo data
-      similarPhotos.push({
-        id: key,
-        Year: payload.Year || '',
-        Event: payload.Event || '',
-        Day: payload.Day || '',
-        Team: payload.Team || '',
-        Misc: payload.Misc || '',
-        thumbnailUrl: `${S3_BASE}/thumbNail/${key}`,
-        hiResUrl: `${S3_BASE}/hiRes/${key}`,
-        similarity: hit.score || 0
-      });
-      
-      // Stop once we have enough results
-      if (similarPhotos.length >= limit) break;
+      throw new BadRequestError(`${name} entries must be photo IDs or non-empty numeric vectors`);
     }
-    
-    // If we're in real mode and got no results, log this for debugging
-    if (!useMockMode && similarPhotos.length === 0) {
-      console.log('No similar photos found after filtering. Raw results:', JSON.stringify(searchResults));
-    }
-    return {
-      statusCode: 200,
-      headers: { 'Access-Control-Allow-Origin': '*' },
-      body: JSON.stringify(similarPhotos),
-    };
-      
+  });
+  return { keys: [...new Set(keys)], vectors };
+}
+
+// GET /similar?id= - photos that look like one photo
+async function handleSimilar(event) {
+  // Parse query parameters
+  const params = event.queryStringParameters || {};
+
+  // Year/Event/Day/Team/Misc filters, same syntax as /photos (Team!=X excludes a team).
+  // Private events the caller cannot see are excluded from the vector search itself.
+  const caller = callerFromEvent(event);
+  const [scope, version] = await Promise.all([accessScope(caller), getDatasetVersion()]);
+  const requestedFilters = [...filtersFromParams(parseQueryParams(event), RESERVED_PARAMS), ...scope.filters];
+
+  // Required: photo ID to find similar images for
+  const photoId = params.id;
+  if (!photoId) {
+    throw new BadRequestError('Missing required parameter: id');
+  }
+
+  // Optional parameters with defaults
+  const limit = parseLimit(params.limit);
+  const threshold = parseFloat(params.threshold) || DEFAULT_SIMILARITY_THRESHOLD; // Higher = more similar
+  const paging = parsePaging(params);
+
+  // Vectors written straight to Qdrant by the embedding pipeline do not move the
+  // dataset version, so a cached answer can miss them until syncVectors runs
+  const cache = cacheHeaders(computeEtag(event, [version, scope.filters, urlEpoch()]), caller);
+  if (isNotModified(event, cache.ETag)) {
+    return notModifiedResponse(cache);
+  }
+  const filters = await resolveYearRanges(requestedFilters);
+
+  // 1. Get the photo from DynamoDB to verify it exists
+  const photoItem = await getPhotoItem(photoId);
+  if (!photoItem || !scope.canSee(photoItem)) {
+    throw new NotFoundError('Photo not found');
+  }
+
+  // 2. Search for similar vectors within the requested filters
+  const { backend, searchResults } = await searchSimilar(photoId, { limit, threshold, filters, paging });
+
+  // 3. Filter out the query image itself and format the requested page
+  const response = await pageResponse(backend, searchResults, [photoId], paging, limit);
+
+  if (response.photos.length === 0) {
+    logger.info('No similar photos found', { photoId, backend, rawHits: searchResults.length });
+  }
+  return compressResponse(event, jsonResponse(200, response, cache));
+}
+
+// POST /similar - "more like these, less like those" (Qdrant's recommend API)
+async function handleRecommend(event) {
+  const body = parseJsonBody(event);
+  const positive = parseExamples(body.positive, 'positive');
+  const negative = parseExamples(body.negative, 'negative');
+  if (!positive.keys.length && !positive.vectors.length) {
+    throw new BadRequestError('positive must contain at least one photo ID or vector');
+  }
+
+  const limit = parseLimit(body.limit);
+  const threshold = parseFloat(body.threshold) || DEFAULT_SIMILARITY_THRESHOLD; // Higher = more similar
+  const paging = parsePaging(body);
+  const scope = await accessScope(callerFromEvent(event));
+  const filters = await resolveYearRanges([
+    ...filtersFromParams(parseQueryParams(event), RESERVED_PARAMS),
+    ...filtersFromBody(body.filters),
+    ...scope.filters,
+  ]);
+
+  // Every example photo has to exist and be visible to the caller
+  const exampleKeys = [...new Set([...positive.keys, ...negative.keys])];
+  const items = await Promise.all(exampleKeys.map(getPhotoItem));
+  const missing = exampleKeys.filter((key, i) => !items[i] || !scope.canSee(items[i]));
+  if (missing.length) {
+    throw new NotFoundError(`Photo not found: ${missing.join(', ')}`);
+  }
+
+  // Example photos are excluded from the results, both by the backend and by similarPage
+  const { backend, result: searchResults } = await runVectorOperation(vectorBackend => vectorBackend.recommend({
+    positive,
+    negative,
+    ...candidateOptions(paging, limit),
+    threshold,
+    filters,
+    excludeKeys: exampleKeys,
+  }));
+
+  return compressResponse(event, jsonResponse(200, await pageResponse(backend, searchResults, exampleKeys, paging, limit)));
+}
+
+exports.handler = instrument('getSimilarPhotos', async (event) => {
+  try {
+    return event.httpMethod === 'POST'
+      ? await handleRecommend(event)
+      : await handleSimilar(event);
   } catch (err) {
-    console.error('getSimilarPhotos error:', err);
-    return {
-      statusCode: 500,
-      headers: { 'Access-Control-Allow-Origin': '*' },
-      body: JSON.stringify({ message: 'Internal server error', error: err.message }),
-    };
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('getSimilarPhotos failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
   }
-};
+});
@@ -0,0 +1,104 @@
+// handlers/health.js
+'use strict';
+
+const { DynamoDBClient, DescribeTableCommand } = require('@aws-sdk/client-dynamodb');
+const { COLLECTION_NAME, qdrantBreaker, checkCollection } = require('../lib/qdrant');
+const { jsonResponse } = require('../lib/http');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+
+const client = new DynamoDBClient({});
+
+// The route is public, so one report per container is reused for this long
+// rather than calling DynamoDB and Qdrant on every request
+const HEALTH_CACHE_MS = parseInt(process.env.HEALTH_CACHE_MS) || 10000;
+let lastReport = null; // { checkedAt, statusCode, body }
+
+// Tables the API cannot work without
+const TABLES = [
+  process.env.TABLE_NAME || 'photoViewer',
+  process.env.VECTOR_TABLE_NAME || 'photoVectors',
+  process.env.FILTERS_TABLE_NAME || 'PhotoViewerFilters',
+  process.env.AUDIT_TABLE_NAME || 'PhotoViewerAudit',
+  process.env.DOWNLOADS_TABLE_NAME || 'PhotoViewerDownloads',
+  process.env.COLLECTIONS_TABLE_NAME || 'PhotoViewerCollections',
+  process.env.ACCESS_TABLE_NAME || 'PhotoViewerAccess',
+];
+
+async function checkTable(tableName) {
+  try {
+    const { Table } = await client.send(new DescribeTableCommand({ TableName: tableName }));
+    return {
+      status: Table.TableStatus === 'ACTIVE' ? 'ok' : 'degraded',
+      tableStatus: Table.TableStatus,
+      itemCount: Table.ItemCount, // Refreshed by DynamoDB roughly every six hours
+    };
+  } catch (error) {
+    logger.error('Health check failed for table', { tableName, error: error.message });
+    return { status: 'down', error: error.message };
+  }
+}
+
+async function checkQdrant() {
+  try {
+    const collection = await checkCollection({ force: true });
+    return {
+      status: collection.exists ? 'ok' : 'down',
+      collection: COLLECTION_NAME,
+      collectionStatus: collection.status,
+      pointsCount: collection.pointsCount,
+      error: collection.exists ? undefined : 'Collection not found',
+    };
+  } catch (error) {
+    logger.error('Health check failed for Qdrant', { error: error.message });
+    return { status: 'down', collection: COLLECTION_NAME, error: error.message };
+  }
+}
+
+async function buildReport() {
+  const [tables, qdrant] = await Promise.all([Promise.all(TABLES.map(checkTable)), checkQdrant()]);
+  const circuitBreaker = qdrantBreaker.status();
+
+  let status = 'ok';
+  if (tables.some(table => table.status !== 'ok') || qdrant.status !== 'ok') {
+    status = 'degraded';
+  }
+  if (tables.some(table => table.status === 'down')) {
+    status = 'down';
+  }
+
+  // Details (errors, hosts, counts) go to the logs; the response only has states
+  const checkedAt = new Date().toISOString();
+  const dynamodb = TABLES.reduce((acc, tableName, i) => {
+    acc[tableName] = tables[i].status;
+    return acc;
+  }, {});
+  logger[status === 'ok' ? 'info' : 'warn']('Health checked', {
+    status,
+    tables: TABLES.map((tableName, i) => ({ tableName, ...tables[i] })),
+    qdrant,
+    circuitBreaker,
+  });
+
+  return {
+    checkedAt: Date.now(),
+    statusCode: status === 'down' ? 503 : 200,
+    body: {
+      status,
+      checkedAt,
+      dynamodb,
+      qdrant: qdrant.status,
+      circuitBreaker: circuitBreaker.state,
+    },
+  };
+}
+
+// GET /health - DynamoDB tables, the Qdrant collection and this container's
+// Qdrant circuit breaker. Qdrant being down only degrades the service because
+// similarity search falls back to the in-process engine; a missing table is fatal.
+exports.handler = instrument('health', async () => {
+  if (!lastReport || Date.now() - lastReport.checkedAt >= HEALTH_CACHE_MS) {
+    lastReport = await buildReport();
+  }
+  return jsonResponse(lastReport.statusCode, lastReport.body, { 'Cache-Control': 'no-store' });
+});
@@ -0,0 +1,159 @@
+// handlers/ingestPhoto.js
+'use strict';
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  PutCommand,
+  TransactWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { S3Client, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { photoIndexKeys, recentIndexKeys, filterRowsForPhoto } = require('../lib/filterPaths');
+const { countUpdate, isConditionalCancel } = require('../lib/filterCounts');
+const { versionBump } = require('../lib/datasetVersion');
+const { keyToId, getPoint } = require('../lib/qdrant');
+const { readPhotoMetadata } = require('../lib/exif');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+const { withDynamoMetrics } = require('../lib/metrics');
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+const s3 = new S3Client({});
+
+const HIRES_PREFIX = 'hiRes/';
+const VECTOR_TABLE_NAME = process.env.VECTOR_TABLE_NAME || 'photoVectors';
+const FILTER_FIELDS = ['Year', 'Event', 'Day', 'Team', 'Misc'];
+
+// S3 event keys are URL-encoded with '+' for spaces
+const decodeS3Key = (key) => decodeURIComponent(key.replace(/\+/g, ' '));
+
+// Work out the filter attributes for an upload. Object metadata (x-amz-meta-year,
+// x-amz-meta-event, ...) wins; otherwise the key is read as
+// Year/Event/Day[/Team[/Misc]]/<file> below the hiRes/ prefix.
+function resolveFilterFields(photoKey, metadata = {}) {
+  const dirs = photoKey.split('/').slice(0, -1);
+  const fromPath = dirs.length >= 3
+    ? { Year: dirs[0], Event: dirs[1], Day: dirs[2], Team: dirs[3], Misc: dirs[4] }
+    : {};
+
+  const fields = {};
+  FILTER_FIELDS.forEach(field => {
+    const value = metadata[field.toLowerCase()] || fromPath[field];
+    if (value) fields[field] = value.trim();
+  });
+  return fields;
+}
+
+// Capture time, camera and exposure from the file. Best effort: a photo without
+// EXIF, or with a damaged header, is still ingested; scripts/backfillExif.js can retry it.
+async function photoMetadata(bucket, objectKey) {
+  try {
+    return await readPhotoMetadata(bucket, objectKey);
+  } catch (error) {
+    logger.warn('Could not read EXIF', { objectKey, error: error.message });
+    return {};
+  }
+}
+
+// Copy the embedding into photoVectors if the embedding pipeline has already
+// indexed this photo in Qdrant. Otherwise the vector sync job picks it up later.
+async function syncVectorRow(photoKey, vectorId) {
+  let point;
+  try {
+    point = await getPoint(vectorId);
+  } catch (error) {
+    logger.error('Error fetching Qdrant point', { vectorId, photoKey, error: error.message });
+    return;
+  }
+  if (!point || !Array.isArray(point.vector)) {
+    logger.info('No Qdrant vector yet, leaving photoVectors row to the sync job', { photoKey });
+    return;
+  }
+
+  try {
+    await ddb.send(new PutCommand({
+      TableName: VECTOR_TABLE_NAME,
+      Item: { PhotoKey: photoKey, VectorId: vectorId, Vector: point.vector },
+      ConditionExpression: 'attribute_not_exists(PhotoKey)',
+    }));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return;
+    // The photo is committed, so a retry would stop at 'duplicate' and never get
+    // here; the vector sync job writes the row instead
+    logger.error('Error writing photoVectors row', { photoKey, error: error.message });
+  }
+}
+
+// Write the photo item and increment every ancestor filter count in one
+// transaction. The put is conditional on the photo not existing yet, so a
+// replayed event cancels the whole transaction and the counts never drift.
+async function ingestObject(bucket, objectKey) {
+  const photoKey = objectKey.slice(HIRES_PREFIX.length);
+  const head = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey }));
+  const fields = resolveFilterFields(photoKey, head.Metadata);
+
+  if (!fields.Year || !fields.Event || !fields.Day) {
+    logger.error('Cannot determine Year/Event/Day, skipping', { objectKey });
+    return 'skipped';
+  }
+
+  const vectorId = keyToId(photoKey);
+  const item = {
+    Key: photoKey,
+    ...fields,
+    ...(await photoMetadata(bucket, objectKey)),
+    VectorId: vectorId,
+    ...photoIndexKeys({ Key: photoKey, ...fields }),
+    // When the original landed in S3, for the photo feeds (RecentIndex)
+    ...recentIndexKeys((head.LastModified || new Date()).toISOString()),
+  };
+
+  try {
+    await ddb.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Put: {
+            TableName: process.env.TABLE_NAME,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(#key)',
+            ExpressionAttributeNames: { '#key': 'Key' },
+          },
+        },
+        ...filterRowsForPhoto(item).map(row => countUpdate(row, 1)),
+        versionBump(),
+      ],
+    }));
+  } catch (error) {
+    if (!isConditionalCancel(error)) throw error;
+    // Replays and re-uploads leave the existing item alone; retags go through PATCH /photos/{id}
+    logger.info('Photo already ingested, skipping', { photoKey });
+    return 'duplicate';
+  }
+
+  await syncVectorRow(photoKey, vectorId);
+  return 'ingested';
+}
+
+exports.handler = instrument('ingestPhoto', async (event) => {
+  const summary = { ingested: 0, duplicate: 0, skipped: 0 };
+
+  // Process records one at a time; any unexpected error fails the invocation
+  // so S3 retries it, which is safe because ingestion is idempotent
+  for (const record of event.Records || []) {
+    const bucket = record.s3.bucket.name;
+    const objectKey = decodeS3Key(record.s3.object.key);
+
+    if (!objectKey.startsWith(HIRES_PREFIX) || objectKey.endsWith('/')) {
+      summary.skipped++;
+      continue;
+    }
+
+    const outcome = await ingestObject(bucket, objectKey);
+    summary[outcome]++;
+  }
+
+  logger.info('Ingest summary', summary);
+  return summary;
+});
@@ -0,0 +1,31 @@
+// handlers/revertEdits.js
+'use strict';
+
+const { HttpError, jsonResponse, getPathParam } = require('../lib/http');
+const { revertBatch, editContext } = require('../lib/photoEdits');
+const { callerFromEvent, requireEditor, accessScope } = require('../lib/access');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+
+// POST /audit/{batchId}/revert - undo every edit recorded under a batch ID
+exports.handler = instrument('revertEdits', async (event) => {
+  try {
+    const caller = requireEditor(callerFromEvent(event));
+    const batchId = getPathParam(event, 'batchId');
+    const { actor } = editContext(event);
+    const scope = await accessScope(caller);
+
+    const report = await revertBatch(batchId, { actor, scope });
+    logger.info('Edit batch reverted', {
+      batchId, reverted: report.reverted.length, conflicts: report.conflicts.length, skipped: report.skipped.length,
+    });
+
+    return jsonResponse(200, report);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('revertEdits failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+});
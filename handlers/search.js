@@ -0,0 +1,45 @@
+// handlers/search.js
+'use strict';
+
+const { HttpError, jsonResponse } = require('../lib/http');
+const { callerFromEvent, accessScope } = require('../lib/access');
+const { parseSearchParams, searchValues, searchPhotos } = require('../lib/search');
+const { toPhoto } = require('../lib/photoShape');
+const { logger } = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
+const { instrument } = require('../lib/instrument');
+
+// GET /search?q=&type=&limit= - Event/Team/Misc values with their full
+// Year/Event/Day path, and photos by file name. Matching ignores case and
+// accents and tolerates typos. A value's path can be passed to /photos as-is.
+exports.handler = instrument('search', async (event) => {
+  try {
+    const { query, limit, types } = parseSearchParams(event, { defaultLimit: 20, maxLimit: 100 });
+    const scope = await accessScope(callerFromEvent(event));
+
+    const [values, photoMatches] = await Promise.all([
+      searchValues(query, { types, scope }),
+      searchPhotos(query, { scope }),
+    ]);
+
+    const photos = await Promise.all(photoMatches.slice(0, limit).map(async ({ item, score }) => ({
+      ...(await toPhoto(item)),
+      score,
+    })));
+    metrics.count('ResultCount', Math.min(values.length, limit) + photos.length);
+
+    return jsonResponse(200, {
+      query,
+      values: values.slice(0, limit),
+      totalValues: values.length,
+      photos,
+      totalPhotos: photoMatches.length,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('search failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+});
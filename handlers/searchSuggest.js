@@ -0,0 +1,33 @@
+// handlers/searchSuggest.js
+'use strict';
+
+const { HttpError, jsonResponse } = require('../lib/http');
+const { callerFromEvent, accessScope } = require('../lib/access');
+const { parseSearchParams, suggestValues } = require('../lib/search');
+const { logger } = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
+const { instrument } = require('../lib/instrument');
+
+// GET /search/suggest?q=&type=&limit= - prefix autocomplete over Event/Team/Misc
+// values, meant to be called on every keystroke. Served from the per-container
+// search index, so it never reads DynamoDB while the index is fresh.
+exports.handler = instrument('searchSuggest', async (event) => {
+  try {
+    const { query, limit, types } = parseSearchParams(event, { defaultLimit: 10, maxLimit: 25 });
+    const scope = await accessScope(callerFromEvent(event));
+    const suggestions = await suggestValues(query, { types, scope });
+    metrics.count('ResultCount', Math.min(suggestions.length, limit));
+
+    // Private: what a caller may see depends on their groups
+    return jsonResponse(200, {
+      query,
+      suggestions: suggestions.slice(0, limit).map(({ type, value, count }) => ({ type, value, count })),
+    }, { 'Cache-Control': 'private, max-age=60' });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('searchSuggest failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+});
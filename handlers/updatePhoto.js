@@ -0,0 +1,41 @@
+// handlers/updatePhoto.js
+'use strict';
+
+const { HttpError, jsonResponse, parseJsonBody, getPathParam } = require('../lib/http');
+const { validateChanges, updatePhoto, editContext } = require('../lib/photoEdits');
+const { callerFromEvent, requireEditor, accessScope } = require('../lib/access');
+const { logger } = require('../lib/logger');
+const { instrument } = require('../lib/instrument');
+
+// PATCH /photos/{id} - retag a photo's Year/Event/Day/Team/Misc
+exports.handler = instrument('updatePhoto', async (event) => {
+  try {
+    const caller = requireEditor(callerFromEvent(event));
+    const photoId = getPathParam(event, 'id');
+    const body = parseJsonBody(event);
+    const changes = validateChanges(body);
+    const context = editContext(event, body);
+    const scope = await accessScope(caller);
+
+    const result = await updatePhoto(photoId, changes, { ...context, scope });
+    logger.info('Photo updated', { photoId, changed: result.changed, batchId: context.batchId });
+
+    const { Key, Year, Event, Day, Team, Misc } = result.item;
+    return jsonResponse(200, {
+      id: Key,
+      Year,
+      Event,
+      Day,
+      Team,
+      Misc,
+      changed: result.changed,
+      batchId: context.batchId,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return jsonResponse(err.statusCode, { message: err.message });
+    }
+    logger.error('updatePhoto failed', { error: err });
+    return jsonResponse(500, { message: 'Internal server error' });
+  }
+});
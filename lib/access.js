@@ -0,0 +1,135 @@
+// lib/access.js
+'use strict';
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { eventPath } = require('./filterPaths');
+const { UnauthorizedError, ForbiddenError } = require('./http');
+const { withDynamoMetrics } = require('./metrics');
+
+// Per-event access control. PhotoViewerAccess rows keyed by a hierarchy path
+// mark a whole Year (YEAR#2024) or one event (YEAR#2024#EVENT#Nationals) as
+// private to a list of groups:
+//   { Path, Year, Event?, AllowedGroups: ['team-x', 'staff'] }
+// Callers outside those groups never see the private Years/Events, their filter
+// values or their photos. Members of ACCESS_ADMIN_GROUP see everything.
+// Retagging, deleting and reverting photos takes ACCESS_EDITOR_GROUP (or admin).
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+
+const ACCESS_TABLE_NAME = process.env.ACCESS_TABLE_NAME || 'PhotoViewerAccess';
+const ADMIN_GROUP = process.env.ACCESS_ADMIN_GROUP || 'admin';
+const EDITOR_GROUP = process.env.ACCESS_EDITOR_GROUP || ADMIN_GROUP;
+
+// Rules are re-read at most this often per container
+const RULES_TTL_MS = parseInt(process.env.ACCESS_RULES_TTL_MS) || 60000;
+let rulesCache = null; // { loadedAt, rules }
+
+const ANONYMOUS = 'anonymous';
+
+// Caller identity put on the request by handlers/authorizer.js
+function callerFromEvent(event) {
+  const authorizer = event.requestContext?.authorizer || {};
+  const principalId = authorizer.principalId || ANONYMOUS;
+  return {
+    principalId,
+    signedIn: principalId !== ANONYMOUS,
+    groups: String(authorizer.groups || '').split(',').filter(Boolean),
+  };
+}
+
+function requireSignedIn(caller) {
+  if (!caller.signedIn) {
+    throw new UnauthorizedError('Sign in with a bearer token or API key');
+  }
+  return caller;
+}
+
+// Photo edits need a signed-in member of the editor or admin group
+function requireEditor(caller) {
+  requireSignedIn(caller);
+  if (!caller.groups.includes(EDITOR_GROUP) && !caller.groups.includes(ADMIN_GROUP)) {
+    throw new ForbiddenError('Editing photos requires the editor group');
+  }
+  return caller;
+}
+
+async function loadRules() {
+  const rules = [];
+  let lastKey = undefined;
+  do {
+    const resp = await ddb.send(new ScanCommand({
+      TableName: ACCESS_TABLE_NAME,
+      FilterExpression: 'begins_with(#path, :year)',
+      ExpressionAttributeNames: { '#path': 'Path' },
+      ExpressionAttributeValues: { ':year': 'YEAR#' },
+      ExclusiveStartKey: lastKey,
+    }));
+    rules.push(...(resp.Items || []));
+    lastKey = resp.LastEvaluatedKey;
+  } while (lastKey);
+  return rules.map(rule => ({
+    Year: rule.Year,
+    Event: rule.Event,
+    allowedGroups: [...(rule.AllowedGroups || [])],
+  }));
+}
+
+async function getRules() {
+  if (!rulesCache || Date.now() - rulesCache.loadedAt >= RULES_TTL_MS) {
+    rulesCache = { loadedAt: Date.now(), rules: await loadRules() };
+  }
+  return rulesCache.rules;
+}
+
+// What a caller may see. `filters` are photo filter conditions (lib/photoQuery)
+// that hide the private Years/Events and are appended to every photo query and
+// vector search; the can* helpers check single values and items.
+async function accessScope(caller) {
+  const isAdmin = caller.groups.includes(ADMIN_GROUP);
+  const denied = isAdmin
+    ? []
+    : (await getRules()).filter(rule => !rule.allowedGroups.some(group => caller.groups.includes(group)));
+
+  const hiddenYears = new Set(denied.filter(rule => !rule.Event).map(rule => rule.Year));
+  const hiddenEvents = new Set(denied
+    .filter(rule => rule.Event && !hiddenYears.has(rule.Year))
+    .map(rule => eventPath(rule.Year, rule.Event)));
+
+  const hiddenEventYears = new Set(denied.filter(rule => rule.Event).map(rule => rule.Year));
+  const canSeeYear = (year) => !hiddenYears.has(year);
+  const canSeeEvent = (year, event) => canSeeYear(year) && !hiddenEvents.has(eventPath(year, event));
+
+  const filters = [];
+  if (hiddenYears.size) filters.push({ attr: 'Year', op: 'not', values: [...hiddenYears] });
+  if (hiddenEvents.size) filters.push({ attr: 'EventPath', op: 'not', values: [...hiddenEvents] });
+
+  return {
+    caller,
+    filters,
+    canSeeYear,
+    canSeeEvent,
+    canSee: (item) => canSeeEvent(item.Year, item.Event),
+    // Whether some events of a visible year are hidden (its totals include them)
+    hidesEventsIn: (year) => canSeeYear(year) && hiddenEventYears.has(year),
+  };
+}
+
+// Refuse to let a caller put a photo somewhere they cannot see
+function assertCanSee(scope, item) {
+  if (!scope.canSee(item)) {
+    throw new ForbiddenError(`No access to ${item.Year} / ${item.Event}`);
+  }
+}
+
+module.exports = {
+  ACCESS_TABLE_NAME,
+  ANONYMOUS,
+  callerFromEvent,
+  requireSignedIn,
+  requireEditor,
+  accessScope,
+  assertCanSee,
+};
@@ -0,0 +1,104 @@
+// lib/auth.js
+'use strict';
+
+const crypto = require('crypto');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { ACCESS_TABLE_NAME } = require('./access');
+const { withDynamoMetrics } = require('./metrics');
+
+// Credential checks for handlers/authorizer.js: JWT bearer tokens signed with
+// HS256 (JWT_SECRET) or RS256 (JWT_PUBLIC_KEY, PEM), and API keys. An algorithm
+// is only accepted when its key is configured, so a token cannot pick its own.
+// API keys are stored in PhotoViewerAccess by SHA-256 hash:
+//   { Path: 'APIKEY#<sha256 hex>', Name, Groups: [...], Disabled? }
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+
+const JWT_SECRET = process.env.JWT_SECRET || '';
+const JWT_PUBLIC_KEY = (process.env.JWT_PUBLIC_KEY || '').replace(/\\n/g, '\n');
+const JWT_ISSUER = process.env.JWT_ISSUER || '';
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || '';
+const JWT_GROUPS_CLAIM = process.env.JWT_GROUPS_CLAIM || 'groups';
+const CLOCK_SKEW_SECONDS = 60;
+
+// Credentials that were presented but are not valid
+class AuthError extends Error {}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// Groups claim as an array, accepting a list or a comma/space separated string
+const groupList = (claim) => (Array.isArray(claim) ? claim : String(claim ?? '').split(/[,\s]+/))
+  .map(String)
+  .filter(Boolean);
+
+function verifySignature(alg, signingInput, signature) {
+  if (alg === 'HS256' && JWT_SECRET) {
+    const expected = crypto.createHmac('sha256', JWT_SECRET).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  if (alg === 'RS256' && JWT_PUBLIC_KEY) {
+    return crypto.verify('RSA-SHA256', Buffer.from(signingInput), JWT_PUBLIC_KEY, signature);
+  }
+  throw new AuthError(`Unsupported token algorithm: ${alg}`);
+}
+
+// Verify a compact JWT and return the identity it carries
+function verifyJwt(token, now = Date.now()) {
+  const segments = token.split('.');
+  if (segments.length !== 3) throw new AuthError('Malformed token');
+
+  let header, claims;
+  try {
+    header = decodeSegment(segments[0]);
+    claims = decodeSegment(segments[1]);
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+
+  const signature = Buffer.from(segments[2], 'base64url');
+  if (!verifySignature(header.alg, `${segments[0]}.${segments[1]}`, signature)) {
+    throw new AuthError('Invalid token signature');
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  if (typeof claims.exp !== 'number' || nowSeconds > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new AuthError('Token is expired or has no expiry');
+  }
+  if (typeof claims.nbf === 'number' && nowSeconds + CLOCK_SKEW_SECONDS < claims.nbf) {
+    throw new AuthError('Token is not valid yet');
+  }
+  if (JWT_ISSUER && claims.iss !== JWT_ISSUER) {
+    throw new AuthError('Token issuer is not accepted');
+  }
+  if (JWT_AUDIENCE && ![].concat(claims.aud ?? []).includes(JWT_AUDIENCE)) {
+    throw new AuthError('Token audience is not accepted');
+  }
+  if (!claims.sub) {
+    throw new AuthError('Token has no subject');
+  }
+
+  return { principalId: String(claims.sub), groups: groupList(claims[JWT_GROUPS_CLAIM]), authType: 'jwt' };
+}
+
+const apiKeyPath = (apiKey) => `APIKEY#${crypto.createHash('sha256').update(apiKey).digest('hex')}`;
+
+async function verifyApiKey(apiKey) {
+  const { Item } = await ddb.send(new GetCommand({
+    TableName: ACCESS_TABLE_NAME,
+    Key: { Path: apiKeyPath(apiKey) },
+  }));
+  if (!Item || Item.Disabled) {
+    throw new AuthError('Unknown or disabled API key');
+  }
+  return { principalId: `apikey:${Item.Name}`, groups: groupList([...(Item.Groups || [])]), authType: 'apiKey' };
+}
+
+module.exports = {
+  AuthError,
+  verifyJwt,
+  verifyApiKey,
+  apiKeyPath,
+};
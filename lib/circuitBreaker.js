@@ -0,0 +1,82 @@
+// lib/circuitBreaker.js
+'use strict';
+
+// Circuit breaker for a remote dependency. Closed: requests flow and failures
+// are counted. After `failureThreshold` consecutive failures it opens and
+// requests are refused for `cooldownMs`. Then it goes half-open and lets a
+// single trial request through: success closes it, failure re-opens it.
+// State lives in the module, so it is per Lambda container.
+
+const { logger } = require('./logger');
+
+const STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' };
+
+function createCircuitBreaker({ name, failureThreshold = 3, cooldownMs = 30000 }) {
+  let state = STATES.CLOSED;
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+
+  const currentState = () => {
+    if (state === STATES.OPEN && Date.now() - openedAt >= cooldownMs) {
+      state = STATES.HALF_OPEN;
+      trialInFlight = false;
+    }
+    return state;
+  };
+
+  return {
+    name,
+
+    // Whether a request may be attempted now
+    allowRequest() {
+      const current = currentState();
+      if (current === STATES.CLOSED) return true;
+      if (current === STATES.HALF_OPEN && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess() {
+      state = STATES.CLOSED;
+      consecutiveFailures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    recordFailure(error) {
+      lastError = error ? error.message : null;
+      consecutiveFailures++;
+      if (state === STATES.HALF_OPEN || consecutiveFailures >= failureThreshold) {
+        if (state !== STATES.OPEN) {
+          logger.warn('Circuit opened', { circuit: name, consecutiveFailures });
+        }
+        state = STATES.OPEN;
+        openedAt = Date.now();
+        trialInFlight = false;
+      }
+    },
+
+    status() {
+      const current = currentState();
+      return {
+        name,
+        state: current,
+        consecutiveFailures,
+        failureThreshold,
+        cooldownMs,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: current === STATES.OPEN ? new Date(openedAt + cooldownMs).toISOString() : null,
+        lastError,
+      };
+    },
+  };
+}
+
+module.exports = {
+  STATES,
+  createCircuitBreaker,
+};
@@ -0,0 +1,277 @@
+// lib/collections.js
+'use strict';
+
+const crypto = require('crypto');
+const { DynamoDBClient, ConditionalCheckFailedException } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+  DeleteCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { getPhotoItems } = require('./photoQuery');
+const { toPhoto } = require('./photoShape');
+const { callerFromEvent, requireSignedIn } = require('./access');
+const { BadRequestError, NotFoundError, ConflictError } = require('./http');
+const { withDynamoMetrics } = require('./metrics');
+
+// Named collections (lightboxes) of photos. A collection belongs to one owner
+// and holds its photo keys in a string set, so adding and removing photos are
+// single atomic updates. Every collection has an unguessable share token that
+// reads it through the public /shared/{token} route. Photos in events the
+// reader cannot see (lib/access) are left out of every view.
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+
+const COLLECTIONS_TABLE_NAME = process.env.COLLECTIONS_TABLE_NAME || 'PhotoViewerCollections';
+const OWNER_INDEX_NAME = process.env.COLLECTIONS_OWNER_INDEX || 'OwnerIndex';             // Owner + CreatedAt
+const SHARE_TOKEN_INDEX_NAME = process.env.COLLECTIONS_SHARE_INDEX || 'ShareTokenIndex';  // ShareToken
+
+const MAX_PHOTOS = parseInt(process.env.COLLECTION_MAX_PHOTOS) || 1000;
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+const newShareToken = () => crypto.randomBytes(24).toString('base64url');
+
+// Collections belong to the signed-in caller
+const collectionOwner = (event) => requireSignedIn(callerFromEvent(event)).principalId;
+
+function validateText(value, name, maxLength, required) {
+  if (value === undefined && !required) return undefined;
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new BadRequestError(`${name} must be a non-empty string`);
+  }
+  if (value.length > maxLength) {
+    throw new BadRequestError(`${name} must be at most ${maxLength} characters`);
+  }
+  return value.trim();
+}
+
+function validatePhotoIds(ids, { required = true } = {}) {
+  if (ids === undefined && !required) return [];
+  if (!Array.isArray(ids) || !ids.length || !ids.every(id => typeof id === 'string' && id)) {
+    throw new BadRequestError('ids must be a non-empty array of photo IDs');
+  }
+  const unique = [...new Set(ids)];
+  if (unique.length > MAX_PHOTOS) {
+    throw new BadRequestError(`A collection can hold at most ${MAX_PHOTOS} photos`);
+  }
+  return unique;
+}
+
+async function assertPhotosExist(ids, scope) {
+  const found = new Set((await getPhotoItems(ids)).filter(scope.canSee).map(item => item.Key));
+  const missing = ids.filter(id => !found.has(id));
+  if (missing.length) {
+    throw new NotFoundError(`Photo not found: ${missing.join(', ')}`);
+  }
+}
+
+const photoKeysOf = (item) => [...(item.PhotoKeys || [])]
+  .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+// API view of a collection record, without its photos
+const toSummary = (item) => ({
+  id: item.CollectionId,
+  name: item.Name,
+  description: item.Description,
+  photoCount: item.PhotoKeys ? item.PhotoKeys.size : 0,
+  shareToken: item.ShareToken,
+  createdAt: item.CreatedAt,
+  updatedAt: item.UpdatedAt,
+});
+
+// Photos of a collection in the /photos shape. Photos deleted since they were
+// added, or that the reader has no access to, are left out.
+async function collectionPhotos(item, scope) {
+  const keys = photoKeysOf(item);
+  const byKey = new Map((await getPhotoItems(keys)).filter(scope.canSee).map(photo => [photo.Key, photo]));
+  return Promise.all(keys.filter(key => byKey.has(key)).map(key => toPhoto(byKey.get(key))));
+}
+
+async function getOwnedItem(collectionId, owner) {
+  const { Item } = await ddb.send(new GetCommand({
+    TableName: COLLECTIONS_TABLE_NAME,
+    Key: { CollectionId: collectionId },
+  }));
+  // Other users' collections look the same as missing ones
+  if (!Item || Item.Owner !== owner) {
+    throw new NotFoundError('Collection not found');
+  }
+  return Item;
+}
+
+async function createCollection(owner, body, scope) {
+  const name = validateText(body.name, 'name', MAX_NAME_LENGTH, true);
+  const description = validateText(body.description, 'description', MAX_DESCRIPTION_LENGTH, false);
+  const ids = validatePhotoIds(body.ids, { required: false });
+  if (ids.length) await assertPhotosExist(ids, scope);
+
+  const now = new Date().toISOString();
+  const item = {
+    CollectionId: crypto.randomUUID(),
+    Owner: owner,
+    Name: name,
+    Description: description,
+    PhotoKeys: ids.length ? new Set(ids) : undefined,
+    ShareToken: newShareToken(),
+    CreatedAt: now,
+    UpdatedAt: now,
+  };
+  await ddb.send(new PutCommand({
+    TableName: COLLECTIONS_TABLE_NAME,
+    Item: item,
+    ConditionExpression: 'attribute_not_exists(CollectionId)',
+  }));
+  return toSummary(item);
+}
+
+// The owner's collections, newest first
+async function listCollections(owner) {
+  const items = [];
+  let lastKey = undefined;
+  do {
+    const resp = await ddb.send(new QueryCommand({
+      TableName: COLLECTIONS_TABLE_NAME,
+      IndexName: OWNER_INDEX_NAME,
+      KeyConditionExpression: '#owner = :owner',
+      ExpressionAttributeNames: { '#owner': 'Owner' },
+      ExpressionAttributeValues: { ':owner': owner },
+      ScanIndexForward: false,
+      ExclusiveStartKey: lastKey,
+    }));
+    items.push(...(resp.Items || []));
+    lastKey = resp.LastEvaluatedKey;
+  } while (lastKey);
+  return items.map(toSummary);
+}
+
+async function getCollection(collectionId, owner, scope) {
+  const item = await getOwnedItem(collectionId, owner);
+  return { ...toSummary(item), photos: await collectionPhotos(item, scope) };
+}
+
+// Run an update that only applies while the caller still owns the collection
+async function updateOwned(collectionId, owner, params) {
+  try {
+    const { Attributes } = await ddb.send(new UpdateCommand({
+      TableName: COLLECTIONS_TABLE_NAME,
+      Key: { CollectionId: collectionId },
+      ReturnValues: 'ALL_NEW',
+      ...params,
+      ConditionExpression: ['#owner = :owner', params.ConditionExpression].filter(Boolean).join(' AND '),
+      ExpressionAttributeNames: { ...params.ExpressionAttributeNames, '#owner': 'Owner' },
+      ExpressionAttributeValues: { ...params.ExpressionAttributeValues, ':owner': owner },
+    }));
+    return Attributes;
+  } catch (error) {
+    if (!(error instanceof ConditionalCheckFailedException)) throw error;
+    await getOwnedItem(collectionId, owner); // 404 when missing or not the owner's
+    if (params.ConditionExpression) {
+      throw new ConflictError(`A collection can hold at most ${MAX_PHOTOS} photos`);
+    }
+    throw error;
+  }
+}
+
+// Rename or re-describe a collection
+async function updateCollection(collectionId, owner, body) {
+  const name = validateText(body.name, 'name', MAX_NAME_LENGTH, false);
+  const description = validateText(body.description, 'description', MAX_DESCRIPTION_LENGTH, false);
+  if (name === undefined && description === undefined) {
+    throw new BadRequestError('Provide a name or description to update');
+  }
+  const item = await updateOwned(collectionId, owner, {
+    UpdateExpression: `SET ${[
+      name !== undefined && '#name = :name',
+      description !== undefined && '#description = :description',
+      '#updatedAt = :now',
+    ].filter(Boolean).join(', ')}`,
+    ExpressionAttributeNames: {
+      ...(name !== undefined && { '#name': 'Name' }),
+      ...(description !== undefined && { '#description': 'Description' }),
+      '#updatedAt': 'UpdatedAt',
+    },
+    ExpressionAttributeValues: {
+      ...(name !== undefined && { ':name': name }),
+      ...(description !== undefined && { ':description': description }),
+      ':now': new Date().toISOString(),
+    },
+  });
+  return toSummary(item);
+}
+
+async function addPhotos(collectionId, owner, body, scope) {
+  const ids = validatePhotoIds(body.ids);
+  await assertPhotosExist(ids, scope);
+  // Leave room for every new key; keys already in the set only make this stricter
+  const item = await updateOwned(collectionId, owner, {
+    UpdateExpression: 'ADD #photos :ids SET #updatedAt = :now',
+    ConditionExpression: '(attribute_not_exists(#photos) OR size(#photos) <= :room)',
+    ExpressionAttributeNames: { '#photos': 'PhotoKeys', '#updatedAt': 'UpdatedAt' },
+    ExpressionAttributeValues: { ':ids': new Set(ids), ':room': MAX_PHOTOS - ids.length, ':now': new Date().toISOString() },
+  });
+  return toSummary(item);
+}
+
+async function removePhoto(collectionId, owner, photoId) {
+  const item = await updateOwned(collectionId, owner, {
+    UpdateExpression: 'DELETE #photos :ids SET #updatedAt = :now',
+    ExpressionAttributeNames: { '#photos': 'PhotoKeys', '#updatedAt': 'UpdatedAt' },
+    ExpressionAttributeValues: { ':ids': new Set([photoId]), ':now': new Date().toISOString() },
+  });
+  return toSummary(item);
+}
+
+async function deleteCollection(collectionId, owner) {
+  try {
+    await ddb.send(new DeleteCommand({
+      TableName: COLLECTIONS_TABLE_NAME,
+      Key: { CollectionId: collectionId },
+      ConditionExpression: '#owner = :owner',
+      ExpressionAttributeNames: { '#owner': 'Owner' },
+      ExpressionAttributeValues: { ':owner': owner },
+    }));
+  } catch (error) {
+    if (!(error instanceof ConditionalCheckFailedException)) throw error;
+    throw new NotFoundError('Collection not found');
+  }
+}
+
+// Public, read-only view of a collection by its share token
+async function getSharedCollection(shareToken, scope) {
+  const resp = await ddb.send(new QueryCommand({
+    TableName: COLLECTIONS_TABLE_NAME,
+    IndexName: SHARE_TOKEN_INDEX_NAME,
+    KeyConditionExpression: '#token = :token',
+    ExpressionAttributeNames: { '#token': 'ShareToken' },
+    ExpressionAttributeValues: { ':token': shareToken },
+  }));
+  const item = (resp.Items || [])[0];
+  if (!item) {
+    throw new NotFoundError('Collection not found');
+  }
+  return {
+    name: item.Name,
+    description: item.Description,
+    updatedAt: item.UpdatedAt,
+    photos: await collectionPhotos(item, scope),
+  };
+}
+
+module.exports = {
+  COLLECTIONS_TABLE_NAME,
+  collectionOwner,
+  createCollection,
+  listCollections,
+  getCollection,
+  updateCollection,
+  addPhotos,
+  removePhoto,
+  deleteCollection,
+  getSharedCollection,
+};
@@ -0,0 +1,61 @@
+// lib/datasetVersion.js
+'use strict';
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { FILTERS_TABLE_NAME } = require('./filterCounts');
+const { withDynamoMetrics } = require('./metrics');
+
+// Dataset version stamp: a counter on the META/VERSION row of PhotoViewerFilters.
+// Every transaction that changes photos or their filter counts also bumps it,
+// so in-memory caches and ETags can tell when what they hold is stale. The row
+// has no filter SK prefix, so getFilters and reconcileFilters never see it.
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+
+const VERSION_KEY = { ParentPath: 'META', SK: 'VERSION' };
+
+// How long a container trusts the version it last read. Changes become visible
+// to caches and ETags at most this late.
+const VERSION_TTL_MS = parseInt(process.env.DATASET_VERSION_TTL_MS) || 5000;
+
+let versionCache = null; // { checkedAt, version }
+
+const bumpParams = () => ({
+  TableName: FILTERS_TABLE_NAME,
+  Key: VERSION_KEY,
+  UpdateExpression: 'ADD #version :one SET UpdatedAt = :now',
+  ExpressionAttributeNames: { '#version': 'Version' },
+  ExpressionAttributeValues: { ':one': 1, ':now': new Date().toISOString() },
+});
+
+// TransactWrite item bumping the version, for transactions that change photos
+const versionBump = () => ({ Update: bumpParams() });
+
+// Bump the version outside a transaction, e.g. after a script rewrote items
+async function bumpDatasetVersion() {
+  await ddb.send(new UpdateCommand(bumpParams()));
+}
+
+// Current version, 0 before the first bump
+async function getDatasetVersion() {
+  if (versionCache && Date.now() - versionCache.checkedAt < VERSION_TTL_MS) {
+    return versionCache.version;
+  }
+  const { Item } = await ddb.send(new GetCommand({
+    TableName: FILTERS_TABLE_NAME,
+    Key: VERSION_KEY,
+    ProjectionExpression: '#version',
+    ExpressionAttributeNames: { '#version': 'Version' },
+  }));
+  versionCache = { checkedAt: Date.now(), version: Item?.Version ?? 0 };
+  return versionCache.version;
+}
+
+module.exports = {
+  versionBump,
+  bumpDatasetVersion,
+  getDatasetVersion,
+};
@@ -0,0 +1,356 @@
+// lib/downloads.js
+'use strict';
+
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  UpdateCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { S3Client, HeadObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { fetchPhotoItems, filtersFromBody, getPhotoItems } = require('./photoQuery');
+const { S3_BUCKET, S3_REGION, HIRES_PREFIX, URL_EXPIRES_SECONDS, presignObject } = require('./photoShape');
+const { BadRequestError, NotFoundError } = require('./http');
+const { logger } = require('./logger');
+const { withDynamoMetrics } = require('./metrics');
+
+// Bulk downloads. POST /downloads records a job with the selected photo keys;
+// the downloads table's stream starts buildArchive, which streams the hiRes/
+// originals into downloads/<id>.zip together with a manifest.json; and
+// GET /downloads/{id} reports the status and a presigned URL once it is done.
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+const s3 = new S3Client({ region: S3_REGION });
+
+const DOWNLOADS_TABLE_NAME = process.env.DOWNLOADS_TABLE_NAME || 'PhotoViewerDownloads';
+const ARCHIVE_PREFIX = 'downloads/';
+
+// Limits on one archive: photos per request, and total size of the originals
+const MAX_PHOTOS = parseInt(process.env.DOWNLOAD_MAX_PHOTOS) || 1000;
+const MAX_BYTES = parseInt(process.env.DOWNLOAD_MAX_BYTES) || 2 * 1024 * 1024 * 1024;
+
+// A job still building after buildDownload's timeout was cut off and never finishes
+const BUILD_TIMEOUT_MS = (parseInt(process.env.DOWNLOAD_BUILD_TIMEOUT_SECONDS) || 900) * 1000;
+
+// Job records expire (DynamoDB TTL) after this many days
+const RETENTION_DAYS = parseInt(process.env.DOWNLOAD_RETENTION_DAYS) || 7;
+
+const HEAD_CONCURRENCY = 10;
+
+const STATUS = {
+  PENDING: 'pending',
+  BUILDING: 'building',
+  COMPLETE: 'complete',
+  FAILED: 'failed',
+};
+
+const chunk = (list, size) => {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+  return chunks;
+};
+
+// Turn a POST /downloads body into the photo keys to archive. The body has
+// either ids (photo IDs) or filters (the /photos syntax, e.g. { "Team": ["X"], "Day": ["2"] }).
+// Photos in events the caller cannot see (lib/access) are never selected.
+async function resolveSelection(body, scope) {
+  if (body.ids !== undefined && body.filters !== undefined) {
+    throw new BadRequestError('Provide either ids or filters, not both');
+  }
+
+  if (body.ids !== undefined) {
+    if (!Array.isArray(body.ids) || !body.ids.length || !body.ids.every(id => typeof id === 'string' && id)) {
+      throw new BadRequestError('ids must be a non-empty array of photo IDs');
+    }
+    const ids = [...new Set(body.ids)];
+    if (ids.length > MAX_PHOTOS) {
+      throw new BadRequestError(`A download can contain at most ${MAX_PHOTOS} photos`);
+    }
+    const found = new Set((await getPhotoItems(ids)).filter(scope.canSee).map(item => item.Key));
+    const missing = ids.filter(id => !found.has(id));
+    if (missing.length) {
+      throw new NotFoundError(`Photo not found: ${missing.join(', ')}`);
+    }
+    return { selection: { ids }, keys: ids.sort() };
+  }
+
+  const filters = filtersFromBody(body.filters);
+  if (!filters.length) {
+    throw new BadRequestError('Provide ids or at least one filter');
+  }
+  const { items } = await fetchPhotoItems([...filters, ...scope.filters]);
+  if (!items.length) {
+    throw new BadRequestError('No photos match the filters');
+  }
+  if (items.length > MAX_PHOTOS) {
+    throw new BadRequestError(`${items.length} photos match the filters; a download can contain at most ${MAX_PHOTOS}`);
+  }
+  return { selection: { filters: body.filters }, keys: items.map(item => item.Key).sort() };
+}
+
+// API view of a job record
+async function toJob(item) {
+  const job = {
+    id: item.DownloadId,
+    status: item.Status,
+    photoCount: item.PhotoCount,
+    createdAt: item.CreatedAt,
+    startedAt: item.StartedAt,
+    completedAt: item.CompletedAt,
+    archiveBytes: item.ArchiveBytes,
+    missing: item.MissingKeys,
+    error: item.Error,
+  };
+  if (item.Status === STATUS.COMPLETE) {
+    job.url = await presignObject(item.ArchiveKey, { downloadName: `photos-${item.DownloadId}.zip` });
+    job.urlExpiresIn = URL_EXPIRES_SECONDS;
+  }
+  return job;
+}
+
+// Total size of the originals that still exist
+const totalSize = (sizes) => [...sizes.values()].reduce((sum, bytes) => sum + (bytes ?? 0), 0);
+
+function assertWithinSizeLimit(totalBytes) {
+  if (totalBytes > MAX_BYTES) {
+    throw new BadRequestError(`Selection is ${totalBytes} bytes; the limit is ${MAX_BYTES}`);
+  }
+}
+
+async function createDownload(body, { actor, scope }) {
+  const { selection, keys } = await resolveSelection(body, scope);
+  // Refuse oversized selections now rather than failing the job after a 202
+  assertWithinSizeLimit(totalSize(await headOriginals(keys)));
+  const now = new Date();
+  const item = {
+    DownloadId: crypto.randomUUID(),
+    Status: STATUS.PENDING,
+    CreatedAt: now.toISOString(),
+    RequestedBy: actor,
+    Selection: selection,
+    PhotoKeys: keys,
+    PhotoCount: keys.length,
+    ExpiresAt: Math.floor(now.getTime() / 1000) + RETENTION_DAYS * 24 * 60 * 60,
+  };
+  await ddb.send(new PutCommand({ TableName: DOWNLOADS_TABLE_NAME, Item: item }));
+  return toJob(item);
+}
+
+// Jobs are only visible to the caller that created them
+async function getDownload(downloadId, { actor }) {
+  const { Item } = await ddb.send(new GetCommand({
+    TableName: DOWNLOADS_TABLE_NAME,
+    Key: { DownloadId: downloadId },
+  }));
+  if (!Item || Item.RequestedBy !== actor) {
+    throw new NotFoundError('Download not found');
+  }
+  if (Item.Status === STATUS.BUILDING && Date.now() - Date.parse(Item.StartedAt) > BUILD_TIMEOUT_MS) {
+    return toJob(await failStaleJob(Item));
+  }
+  return toJob(Item);
+}
+
+async function updateJob(downloadId, fields, condition) {
+  const names = {};
+  const values = {};
+  const sets = Object.entries(fields).filter(([, value]) => value !== undefined).map(([field, value], i) => {
+    names[`#u${i}`] = field;
+    values[`:u${i}`] = value;
+    return `#u${i} = :u${i}`;
+  });
+  const params = {
+    TableName: DOWNLOADS_TABLE_NAME,
+    Key: { DownloadId: downloadId },
+    UpdateExpression: `SET ${sets.join(', ')}`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+    ReturnValues: 'ALL_NEW',
+  };
+  if (condition) {
+    params.ConditionExpression = '#status = :expected';
+    names['#status'] = 'Status';
+    values[':expected'] = condition.status;
+  }
+  const { Attributes } = await ddb.send(new UpdateCommand(params));
+  return Attributes;
+}
+
+// Mark a job whose build was cut off as failed; a build that finished meanwhile wins
+async function failStaleJob(item) {
+  try {
+    return await updateJob(item.DownloadId, {
+      Status: STATUS.FAILED,
+      CompletedAt: new Date().toISOString(),
+      Error: 'Archive build timed out',
+    }, { status: STATUS.BUILDING });
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    const { Item } = await ddb.send(new GetCommand({
+      TableName: DOWNLOADS_TABLE_NAME,
+      Key: { DownloadId: item.DownloadId },
+      ConsistentRead: true,
+    }));
+    return Item;
+  }
+}
+
+// Size of each original, or null if it is no longer in the bucket. A 403 counts
+// as missing too: the role can read every original, so only a deleted one is refused.
+async function headOriginals(keys) {
+  const sizes = new Map();
+  for (const batch of chunk(keys, HEAD_CONCURRENCY)) {
+    await Promise.all(batch.map(async key => {
+      try {
+        const head = await s3.send(new HeadObjectCommand({ Bucket: S3_BUCKET, Key: `${HIRES_PREFIX}${key}` }));
+        sizes.set(key, head.ContentLength);
+      } catch (error) {
+        if (error.name !== 'NotFound' && ![403, 404].includes(error.$metadata?.httpStatusCode)) throw error;
+        sizes.set(key, null);
+      }
+    }));
+  }
+  return sizes;
+}
+
+// Append one entry and wait until archiver has consumed it, so only one S3 read is open at a time
+const appendEntry = (archive, source, name) => new Promise((resolve, reject) => {
+  const onEntry = () => {
+    archive.off('error', onError);
+    resolve();
+  };
+  const onError = (error) => {
+    archive.off('entry', onEntry);
+    reject(error);
+  };
+  archive.once('entry', onEntry);
+  archive.once('error', onError);
+  archive.append(source, { name });
+});
+
+// Stream the originals and the manifest into a ZIP that is uploaded as it is written
+async function writeArchive(archiveKey, entries, manifest) {
+  const archive = archiver('zip', { store: true }); // JPEGs do not compress further
+  const body = new PassThrough();
+  archive.pipe(body);
+  const upload = new Upload({
+    client: s3,
+    params: { Bucket: S3_BUCKET, Key: archiveKey, Body: body, ContentType: 'application/zip' },
+  });
+  const uploaded = upload.done();
+
+  const written = (async () => {
+    for (const entry of entries) {
+      const object = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: `${HIRES_PREFIX}${entry.key}` }));
+      await appendEntry(archive, object.Body, entry.file);
+    }
+    await appendEntry(archive, JSON.stringify(manifest, null, 2), 'manifest.json');
+    await archive.finalize();
+  })();
+
+  try {
+    await Promise.all([written, uploaded]);
+  } catch (error) {
+    // Failing the body makes the upload abort its multipart upload, so no
+    // orphaned parts stay behind; wait for that before giving up
+    archive.abort();
+    body.destroy(error);
+    await uploaded.catch(() => {});
+    throw error;
+  }
+  return archive.pointer();
+}
+
+// Build the archive for a pending job. Safe to call more than once: only the
+// call that moves the job from pending to building does the work.
+async function buildArchive(downloadId) {
+  let job;
+  try {
+    job = await updateJob(downloadId, {
+      Status: STATUS.BUILDING,
+      StartedAt: new Date().toISOString(),
+    }, { status: STATUS.PENDING });
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    logger.info('Download is not pending, skipping', { downloadId });
+    return 'skipped';
+  }
+
+  try {
+    const [photos, sizes] = await Promise.all([getPhotoItems(job.PhotoKeys), headOriginals(job.PhotoKeys)]);
+    const photosByKey = new Map(photos.map(photo => [photo.Key, photo]));
+    const entries = job.PhotoKeys
+      .filter(key => photosByKey.has(key) && sizes.get(key) !== null)
+      .map(key => ({ key, file: key, bytes: sizes.get(key) }));
+    const included = new Set(entries.map(entry => entry.key));
+    const missing = job.PhotoKeys.filter(key => !included.has(key));
+
+    // Checked again: originals can be replaced after the job was accepted
+    const totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    assertWithinSizeLimit(totalBytes);
+    if (!entries.length) {
+      throw new BadRequestError('None of the selected photos are available');
+    }
+
+    const manifest = {
+      downloadId,
+      createdAt: job.CreatedAt,
+      requestedBy: job.RequestedBy,
+      selection: job.Selection,
+      photoCount: entries.length,
+      totalBytes,
+      photos: entries.map(entry => {
+        const photo = photosByKey.get(entry.key);
+        return {
+          id: entry.key,
+          file: entry.file,
+          bytes: entry.bytes,
+          Year: photo.Year,
+          Event: photo.Event,
+          Day: photo.Day,
+          Team: photo.Team,
+          Misc: photo.Misc,
+          TakenAt: photo.TakenAt,
+          Exif: photo.Exif,
+        };
+      }),
+      missing,
+    };
+
+    const archiveKey = `${ARCHIVE_PREFIX}${downloadId}.zip`;
+    const archiveBytes = await writeArchive(archiveKey, entries, manifest);
+
+    await updateJob(downloadId, {
+      Status: STATUS.COMPLETE,
+      CompletedAt: new Date().toISOString(),
+      ArchiveKey: archiveKey,
+      ArchiveBytes: archiveBytes,
+      MissingKeys: missing.length ? missing : undefined,
+    });
+    logger.info('Download built', { downloadId, photos: entries.length, archiveBytes, missing: missing.length });
+    return 'complete';
+  } catch (error) {
+    logger.error('Download failed', { downloadId, error });
+    await updateJob(downloadId, {
+      Status: STATUS.FAILED,
+      CompletedAt: new Date().toISOString(),
+      Error: error instanceof BadRequestError ? error.message : 'Archive could not be built',
+    });
+    return 'failed';
+  }
+}
+
+module.exports = {
+  DOWNLOADS_TABLE_NAME,
+  STATUS,
+  createDownload,
+  getDownload,
+  buildArchive,
+};
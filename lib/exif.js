@@ -0,0 +1,88 @@
+// lib/exif.js
+'use strict';
+
+const exifr = require('exifr');
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+
+// EXIF metadata of a hi-res original, as stored on its photoViewer item:
+//   TakenAt - capture time, camera-local 'YYYY-MM-DDTHH:mm:ss' so it sorts as a string
+//   Exif    - { Camera, Lens, FocalLength, FNumber, ExposureTime, ISO, Orientation, Width, Height }
+// Cameras record local time without a zone, so TakenAt carries none either.
+
+const s3 = new S3Client({});
+
+// JPEG keeps EXIF in an APP1 segment near the start of the file, so only the
+// head of the object is downloaded
+const EXIF_READ_BYTES = 128 * 1024;
+
+const EXIF_TAGS = [
+  'DateTimeOriginal', 'CreateDate', 'ModifyDate',
+  'Make', 'Model', 'LensModel',
+  'FocalLength', 'FNumber', 'ExposureTime', 'ISO', 'Orientation',
+  'ExifImageWidth', 'ExifImageHeight', 'ImageWidth', 'ImageHeight',
+];
+
+// 'YYYY:MM:DD HH:mm:ss' (EXIF) to 'YYYY-MM-DDTHH:mm:ss'; undefined for blank or malformed dates
+function toTakenAt(value) {
+  const match = /^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(String(value || ''));
+  if (!match || match[1] === '0000') return undefined;
+  const [, year, month, day, hour, minute, second] = match;
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+}
+
+const text = (value) => (typeof value === 'string' && value.trim() ? value.trim().replace(/\0+$/, '') : undefined);
+const number = (value) => (Number.isFinite(value) ? value : undefined);
+
+// "Canon EOS R5" rather than "Canon Canon EOS R5" when the model repeats the make
+function cameraName(make, model) {
+  if (!model) return make;
+  if (!make || model.toLowerCase().startsWith(make.toLowerCase().split(' ')[0])) return model;
+  return `${make} ${model}`;
+}
+
+// Parsed tags to the stored { TakenAt, Exif } shape, leaving out missing values
+function toPhotoMetadata(tags = {}) {
+  const exif = {
+    Camera: cameraName(text(tags.Make), text(tags.Model)),
+    Lens: text(tags.LensModel),
+    FocalLength: number(tags.FocalLength),
+    FNumber: number(tags.FNumber),
+    ExposureTime: number(tags.ExposureTime),
+    ISO: number(Array.isArray(tags.ISO) ? tags.ISO[0] : tags.ISO),
+    Orientation: number(tags.Orientation),
+    Width: number(tags.ExifImageWidth ?? tags.ImageWidth),
+    Height: number(tags.ExifImageHeight ?? tags.ImageHeight),
+  };
+  Object.keys(exif).forEach(name => exif[name] === undefined && delete exif[name]);
+
+  return {
+    TakenAt: toTakenAt(tags.DateTimeOriginal) || toTakenAt(tags.CreateDate) || toTakenAt(tags.ModifyDate),
+    Exif: Object.keys(exif).length ? exif : undefined,
+  };
+}
+
+// Read the EXIF metadata of an S3 object. Returns {} when the file has none.
+async function readPhotoMetadata(bucket, objectKey) {
+  const object = await s3.send(new GetObjectCommand({
+    Bucket: bucket,
+    Key: objectKey,
+    Range: `bytes=0-${EXIF_READ_BYTES - 1}`,
+  }));
+  const head = Buffer.from(await object.Body.transformToByteArray());
+
+  // Raw values: dates stay camera-local strings and Orientation stays a number
+  const tags = await exifr.parse(head, { pick: EXIF_TAGS, reviveValues: false, translateValues: false });
+  if (!tags) return {};
+
+  const metadata = toPhotoMetadata(tags);
+  return Object.keys(metadata).reduce((acc, name) => {
+    if (metadata[name] !== undefined) acc[name] = metadata[name];
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  toTakenAt,
+  toPhotoMetadata,
+  readPhotoMetadata,
+};
@@ -0,0 +1,93 @@
+// lib/feeds.js
+'use strict';
+
+// Atom 1.0 and RSS 2.0 documents for the photo feeds. Both take the same feed:
+//   { id, title, selfUrl, updated, author,
+//     entries: [{ id, title, link, originalUrl, thumbnailUrl, updated, summary, categories }] }
+// Timestamps are ISO 8601 strings; link is where a reader opens the photo.
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+const escapeXml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => XML_ESCAPES[ch]);
+
+// Entry body shown by readers: the thumbnail linking to the photo, then the summary
+const entryHtml = (entry) =>
+  `<p><a href="${escapeXml(entry.link)}"><img src="${escapeXml(entry.thumbnailUrl)}" alt="${escapeXml(entry.title)}"/></a></p>`
+  + `<p>${escapeXml(entry.summary)}</p>`;
+
+// RFC 822 dates for RSS
+const rfc822 = (iso) => new Date(iso).toUTCString();
+
+function renderAtom(feed) {
+  const entries = feed.entries.map(entry => [
+    '  <entry>',
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(entry.link)}"/>`,
+    entry.originalUrl && entry.originalUrl !== entry.link
+      ? `    <link rel="related" title="Original" href="${escapeXml(entry.originalUrl)}"/>`
+      : null,
+    `    <link rel="enclosure" type="image/jpeg" href="${escapeXml(entry.thumbnailUrl)}"/>`,
+    `    <published>${escapeXml(entry.updated)}</published>`,
+    `    <updated>${escapeXml(entry.updated)}</updated>`,
+    ...entry.categories.map(category => `    <category term="${escapeXml(category)}"/>`),
+    `    <summary>${escapeXml(entry.summary)}</summary>`,
+    `    <content type="html">${escapeXml(entryHtml(entry))}</content>`,
+    '  </entry>',
+  ].filter(line => line !== null).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `  <updated>${escapeXml(feed.updated)}</updated>`,
+    `  <author><name>${escapeXml(feed.author)}</name></author>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+function renderRss(feed) {
+  const items = feed.entries.map(entry => [
+    '    <item>',
+    `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+    `      <title>${escapeXml(entry.title)}</title>`,
+    `      <link>${escapeXml(entry.link)}</link>`,
+    // RSS wants the enclosure size; it is not known without a HEAD request
+    `      <enclosure url="${escapeXml(entry.thumbnailUrl)}" type="image/jpeg" length="0"/>`,
+    `      <pubDate>${rfc822(entry.updated)}</pubDate>`,
+    ...entry.categories.map(category => `      <category>${escapeXml(category)}</category>`),
+    `      <description>${escapeXml(entryHtml(entry))}</description>`,
+    '    </item>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.selfUrl)}</link>`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `    <description>${escapeXml(feed.title)}</description>`,
+    `    <lastBuildDate>${rfc822(feed.updated)}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+// Content types and renderers by feed format
+const FEED_FORMATS = {
+  atom: { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+  rss: { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+};
+
+module.exports = {
+  FEED_FORMATS,
+  escapeXml,
+  renderAtom,
+  renderRss,
+};
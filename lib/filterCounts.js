@@ -0,0 +1,34 @@
+// lib/filterCounts.js
+'use strict';
+
+// Write helpers for the PhotoCount values in PhotoViewerFilters. Every change to
+// photoViewer goes through a TransactWriteCommand that also carries these count
+// updates, so the counts getFilters relies on move together with the photos.
+
+const FILTERS_TABLE_NAME = process.env.FILTERS_TABLE_NAME || 'PhotoViewerFilters';
+
+// TransactWrite item adding delta to one filter row, creating the row if needed
+function countUpdate(row, delta) {
+  return {
+    Update: {
+      TableName: FILTERS_TABLE_NAME,
+      Key: { ParentPath: row.ParentPath, SK: row.SK },
+      UpdateExpression: 'SET ActualFilterValue = :v ADD PhotoCount :delta',
+      ExpressionAttributeValues: { ':v': row.ActualFilterValue, ':delta': delta },
+    },
+  };
+}
+
+// True when a transaction was cancelled only because of a failed condition check
+function isConditionalCancel(error) {
+  if (error.name !== 'TransactionCanceledException') return false;
+  const reasons = error.CancellationReasons || [];
+  return reasons.some(r => r.Code === 'ConditionalCheckFailed')
+    && reasons.every(r => r.Code === 'ConditionalCheckFailed' || r.Code === 'None');
+}
+
+module.exports = {
+  FILTERS_TABLE_NAME,
+  countUpdate,
+  isConditionalCancel,
+};
@@ -0,0 +1,102 @@
+// lib/filterPaths.js
+'use strict';
+
+// Key builders for the Year -> Event -> Day -> Team/Misc hierarchy.
+// PhotoViewerFilters rows are keyed by ParentPath/SK using these strings, and the
+// photoViewer index attributes (EventPath/DayKey) reuse the same prefixes so both
+// tables describe the hierarchy identically.
+
+const ROOT_PATH = 'ROOT';
+
+const yearPath = (year) => `YEAR#${year}`;
+const eventPath = (year, event) => `${yearPath(year)}#EVENT#${event}`;
+const dayPath = (year, event, day) => `${eventPath(year, event)}#DAY#${day}`;
+
+// Inverse of eventPath: { Year, Event }, or null for anything else
+function parseEventPath(path) {
+  const match = /^YEAR#(.*?)#EVENT#(.*)$/.exec(String(path));
+  return match ? { Year: match[1], Event: match[2] } : null;
+}
+
+// SK prefixes of PhotoViewerFilters rows and the attribute each one counts
+const FACET_PREFIXES = { YEAR: 'Year', EVENT: 'Event', DAY: 'Day', TEAM: 'Team', MISC: 'Misc' };
+
+// Inverse of filterRowsForPhoto: { type, value, path } for a PhotoViewerFilters
+// row, where path is the full hierarchy down to the row's own value, e.g.
+// { Year, Event, Day, Team } for a TEAM# row. Null for rows it does not recognise.
+function parseFilterRow(row) {
+  const type = FACET_PREFIXES[String(row.SK).split('#')[0]];
+  if (!type) return null;
+
+  const path = {};
+  if (row.ParentPath !== ROOT_PATH) {
+    const match = /^YEAR#(.*?)(?:#EVENT#(.*?)(?:#DAY#(.*))?)?$/.exec(String(row.ParentPath));
+    if (!match) return null;
+    ['Year', 'Event', 'Day'].forEach((attr, i) => {
+      if (match[i + 1] !== undefined) path[attr] = match[i + 1];
+    });
+  }
+  path[type] = row.ActualFilterValue;
+  return { type, value: row.ActualFilterValue, path };
+}
+
+// Sort key prefix for a day within an EventPath partition. The trailing '#'
+// keeps Day 1 from matching Day 10 in a begins_with condition.
+const dayKeyPrefix = (day) => `DAY#${day}#`;
+
+// Index attributes stored on every photoViewer item with a Year and Event:
+//   EventPath - partition key of the EventPathIndex GSI (YEAR#..#EVENT#..)
+//   DayKey    - sort key of the EventPathIndex GSI (DAY#..#KEY#.., or NODAY#KEY#..
+//               so photos without a Day still show up for their event)
+function photoIndexKeys(item) {
+  if (!item.Year || !item.Event) return {};
+  return {
+    EventPath: eventPath(item.Year, item.Event),
+    DayKey: item.Day ? `${dayKeyPrefix(item.Day)}KEY#${item.Key}` : `NODAY#KEY#${item.Key}`,
+  };
+}
+
+// RecentIndex GSI attributes, which list a month's uploads newest first:
+//   UploadMonth - partition key (YYYY-MM of UploadedAt, UTC)
+//   UploadedAt  - sort key (ISO 8601 time the original was uploaded)
+const recentIndexKeys = (uploadedAt) => (uploadedAt
+  ? { UploadedAt: uploadedAt, UploadMonth: uploadedAt.slice(0, 7) }
+  : {});
+
+// Every PhotoViewerFilters row a photo is counted in: its Year, Event and Day
+// rows plus the Team and Misc rows under its day. Team/Misc are optional and
+// Misc may hold several values.
+function filterRowsForPhoto(item) {
+  if (!item.Year || !item.Event || !item.Day) return [];
+
+  const day = dayPath(item.Year, item.Event, item.Day);
+  const rows = [
+    { ParentPath: ROOT_PATH, SK: `YEAR#${item.Year}`, ActualFilterValue: item.Year },
+    { ParentPath: yearPath(item.Year), SK: `EVENT#${item.Event}`, ActualFilterValue: item.Event },
+    { ParentPath: eventPath(item.Year, item.Event), SK: `DAY#${item.Day}`, ActualFilterValue: item.Day },
+  ];
+  if (item.Team) {
+    rows.push({ ParentPath: day, SK: `TEAM#${item.Team}`, ActualFilterValue: item.Team });
+  }
+  [...new Set([].concat(item.Misc ?? []))].filter(Boolean).forEach(misc => {
+    rows.push({ ParentPath: day, SK: `MISC#${misc}`, ActualFilterValue: misc });
+  });
+  return rows;
+}
+
+// Identity of a filter row, for diffing row sets
+const rowId = (row) => `${row.ParentPath}|${row.SK}`;
+
+module.exports = {
+  ROOT_PATH,
+  yearPath,
+  eventPath,
+  parseEventPath,
+  dayPath,
+  dayKeyPrefix,
+  photoIndexKeys,
+  recentIndexKeys,
+  filterRowsForPhoto,
+  parseFilterRow,
+  rowId,
+};
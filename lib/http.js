@@ -0,0 +1,88 @@
+// lib/http.js
+'use strict';
+
+// Shared API Gateway request/response helpers
+
+// Errors that map directly onto an HTTP status; handlers turn them into JSON responses
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message) {
+    super(400, message);
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message) {
+    super(401, message);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message) {
+    super(403, message);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message) {
+    super(404, message);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message) {
+    super(409, message);
+  }
+}
+
+const jsonResponse = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers: { 'Access-Control-Allow-Origin': '*', ...headers },
+  body: JSON.stringify(body),
+});
+
+// Parse a JSON request body, throwing BadRequestError for malformed input
+function parseJsonBody(event) {
+  if (!event.body) return {};
+  const text = event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body;
+  try {
+    const body = JSON.parse(text);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new BadRequestError('Request body must be a JSON object');
+    }
+    return body;
+  } catch (err) {
+    if (err instanceof BadRequestError) throw err;
+    throw new BadRequestError('Request body is not valid JSON');
+  }
+}
+
+// Header lookup is case-insensitive; API Gateway preserves the client's casing
+const getHeader = (event, name) => {
+  const headers = event.headers || {};
+  const match = Object.keys(headers).find(h => h.toLowerCase() === name.toLowerCase());
+  return match ? headers[match] : undefined;
+};
+
+const getPathParam = (event, name) => (event.pathParameters || {})[name];
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  jsonResponse,
+  parseJsonBody,
+  getHeader,
+  getPathParam,
+};
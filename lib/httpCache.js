@@ -0,0 +1,106 @@
+// lib/httpCache.js
+'use strict';
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { getHeader } = require('./http');
+const { parseQueryParams } = require('./photoQuery');
+
+// Conditional GETs and response compression for the read endpoints. An ETag
+// is derived from what the response depends on (dataset version, route, query,
+// the caller's access scope) rather than the body, so a matching If-None-Match
+// is answered with a 304 before any photo is read.
+
+const MAX_AGE_SECONDS = parseInt(process.env.HTTP_CACHE_MAX_AGE_SECONDS) || 60;
+
+// Smaller bodies are not worth the CPU or the base64 overhead
+const MIN_COMPRESS_BYTES = 1024;
+
+// Must match binaryMediaTypes in serverless.yml. API Gateway only decodes a
+// base64 body when the first type in the request's Accept header is one of
+// these, so other requests get the plain body. A '*/*' entry would also mark
+// the CORS preflight mock integrations binary, and they then fail to transform
+// the request.
+const BINARY_MEDIA_TYPES = ['application/json', 'application/atom+xml', 'application/rss+xml'];
+
+const acceptsBinary = (accept) =>
+  BINARY_MEDIA_TYPES.includes(String(accept || '').split(',')[0].split(';')[0].trim().toLowerCase());
+
+function computeEtag(event, parts) {
+  const query = parseQueryParams(event);
+  const sortedQuery = Object.keys(query).sort().map(name => [name, query[name]]);
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([event.resource || event.path, event.pathParameters || null, sortedQuery, ...parts]))
+    .digest('base64url');
+  return `W/"${hash}"`;
+}
+
+// Signed-in responses depend on the caller's groups, so shared caches must not reuse them
+const cacheHeaders = (etag, caller) => ({
+  ETag: etag,
+  'Cache-Control': `${caller.signedIn ? 'private' : 'public'}, max-age=${MAX_AGE_SECONDS}`,
+  Vary: 'Authorization, X-Api-Key, Accept, Accept-Encoding',
+  'Access-Control-Expose-Headers': 'ETag',
+});
+
+// If-None-Match may list several tags or '*'; GET uses the weak comparison
+function isNotModified(event, etag) {
+  const header = getHeader(event, 'If-None-Match');
+  if (!header) return false;
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => tag.trim() === '*' || opaque(tag) === opaque(etag));
+}
+
+const notModifiedResponse = (headers) => ({
+  statusCode: 304,
+  headers: { 'Access-Control-Allow-Origin': '*', ...headers },
+  body: '',
+});
+
+// The encoding to use for an Accept-Encoding header: br over gzip, unless the
+// client weights gzip higher. Undefined when neither is acceptable.
+function pickEncoding(acceptEncoding) {
+  const weights = {};
+  String(acceptEncoding || '').split(',').forEach(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+    weights[name] = q ? Number(q[1]) : 1;
+  });
+  const br = weights.br ?? 0;
+  const gzip = weights.gzip ?? weights['*'] ?? 0;
+  if (!br && !gzip) return undefined;
+  return br >= gzip ? 'br' : 'gzip';
+}
+
+// Compress a response body when the client accepts br or gzip and asks for a
+// type API Gateway passes on as binary (BINARY_MEDIA_TYPES).
+function compressResponse(event, response) {
+  const encoding = pickEncoding(getHeader(event, 'Accept-Encoding'));
+  if (!encoding || !acceptsBinary(getHeader(event, 'Accept')) || !response.body || Buffer.byteLength(response.body) < MIN_COMPRESS_BYTES) {
+    return response;
+  }
+
+  const body = encoding === 'br'
+    ? zlib.brotliCompressSync(response.body, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: 5, // Most of the size win at a fraction of the default's CPU
+          [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+        },
+      })
+    : zlib.gzipSync(response.body);
+
+  return {
+    ...response,
+    headers: { ...response.headers, 'Content-Encoding': encoding, Vary: response.headers?.Vary || 'Accept, Accept-Encoding' },
+    body: body.toString('base64'),
+    isBase64Encoded: true,
+  };
+}
+
+module.exports = {
+  computeEtag,
+  cacheHeaders,
+  isNotModified,
+  notModifiedResponse,
+  compressResponse,
+};
@@ -0,0 +1,85 @@
+// lib/instrument.js
+'use strict';
+
+const { logger, runWithContext } = require('./logger');
+const { metrics, newRecorder, flushMetrics } = require('./metrics');
+const { getHeader } = require('./http');
+
+// Wraps every Lambda handler: sets up the request context the logger and
+// metrics read, logs the request and its outcome, records Latency and the
+// status class, echoes the correlation ID as X-Request-Id and flushes metrics.
+// An error thrown with `expected: true` is how the handler answers (the
+// authorizer's 'Unauthorized') and is not logged as a failure.
+
+// Caller-supplied correlation IDs are only kept when they look like an ID
+const CORRELATION_ID = /^[\w.:-]{1,128}$/;
+
+function correlationIdFrom(event, requestId) {
+  const supplied = getHeader(event, 'X-Request-Id') || getHeader(event, 'X-Correlation-Id');
+  return supplied && CORRELATION_ID.test(supplied) ? supplied : requestId;
+}
+
+// What is worth logging about an API Gateway request. Headers go through the
+// logger's redaction; the resource template keeps share tokens out of paths.
+const describeRequest = (event) => ({
+  method: event.httpMethod,
+  resource: event.resource,
+  pathParameters: event.pathParameters || undefined,
+  query: event.multiValueQueryStringParameters || event.queryStringParameters || undefined,
+  headers: event.headers || undefined,
+  sourceIp: event.requestContext?.identity?.sourceIp,
+});
+
+function instrument(handlerName, handler) {
+  return async (event = {}, context = {}) => {
+    const requestId = event.requestContext?.requestId || context.awsRequestId || 'local';
+    const requestContext = {
+      handler: handlerName,
+      requestId,
+      correlationId: correlationIdFrom(event, requestId),
+      metrics: newRecorder(),
+    };
+
+    return runWithContext(requestContext, async () => {
+      const start = Date.now();
+      // Authorizer events carry the request too, but answer with a policy
+      const isHttp = Boolean(event.httpMethod) && !event.methodArn;
+      if (isHttp) {
+        logger.info('Request received', describeRequest(event));
+      }
+
+      let statusCode;
+      try {
+        const response = await handler(event, context);
+        if (isHttp && response && response.statusCode) {
+          statusCode = response.statusCode;
+          const exposed = response.headers?.['Access-Control-Expose-Headers'];
+          response.headers = {
+            ...response.headers,
+            'X-Request-Id': requestContext.correlationId,
+            'Access-Control-Expose-Headers': exposed ? `${exposed}, X-Request-Id` : 'X-Request-Id',
+          };
+        }
+        return response;
+      } catch (error) {
+        if (!error.expected) {
+          if (isHttp) statusCode = 500;
+          logger.error('Unhandled error', { error });
+        }
+        throw error;
+      } finally {
+        const durationMs = Date.now() - start;
+        metrics.timing('Latency', durationMs);
+        if (statusCode) {
+          metrics.count(`Status${Math.floor(statusCode / 100)}xx`);
+        }
+        logger.info('Request completed', { statusCode, durationMs });
+        flushMetrics();
+      }
+    });
+  };
+}
+
+module.exports = {
+  instrument,
+};
@@ -0,0 +1,74 @@
+// lib/logger.js
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// JSON-line logging. Every line carries the level, the time and, inside a
+// handler wrapped by lib/instrument.js, the handler name and request ID, so
+// CloudWatch Logs Insights can follow one request across its log lines.
+// LOG_LEVEL (debug, info, warn, error; default info) drops the quieter levels.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+
+// Field names whose values never reach the logs, at any depth. Covers the
+// Authorization, Cookie and X-Api-Key headers as well as share tokens.
+const REDACTED_FIELDS = /^(authorization|cookie|set-cookie|x-api-key|token|password|secret)$/i;
+const MAX_DEPTH = 6;
+
+// Per-request context ({ handler, requestId, correlationId, metrics }) of the
+// invocation being handled
+const requestContext = new AsyncLocalStorage();
+
+const runWithContext = (context, fn) => requestContext.run(context, fn);
+const currentContext = () => requestContext.getStore();
+
+// Copy of value safe to log: sensitive fields masked, errors flattened
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.statusCode && { statusCode: value.statusCode }),
+      ...(value.code && { code: value.code }),
+      stack: value.stack,
+    };
+  }
+  if (typeof value === 'bigint') return value.toString(); // e.g. Qdrant point IDs; JSON has no BigInt
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  return Object.keys(value).reduce((acc, name) => {
+    acc[name] = REDACTED_FIELDS.test(name) ? '[Redacted]' : redact(value[name], depth + 1);
+    return acc;
+  }, {});
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const context = currentContext();
+  const line = {
+    level,
+    time: new Date().toISOString(),
+    message,
+    ...(context && { handler: context.handler, requestId: context.requestId, correlationId: context.correlationId }),
+    ...redact(fields),
+  };
+  // Raw stdout: console.* would prefix the Lambda text log format and break the JSON
+  process.stdout.write(`${JSON.stringify(line)}\n`);
+}
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
+
+module.exports = {
+  logger,
+  redact,
+  runWithContext,
+  currentContext,
+};
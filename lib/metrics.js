@@ -0,0 +1,115 @@
+// lib/metrics.js
+'use strict';
+
+const { currentContext } = require('./logger');
+
+// CloudWatch Embedded Metric Format. Metrics recorded during a request are
+// collected on its context (lib/logger.js) and written as one EMF log line when
+// lib/instrument.js flushes them; CloudWatch turns that line into metrics with
+// a Handler dimension. Outside a wrapped handler (scripts) recording is a no-op.
+//
+// Metrics in use:
+//   Latency, DynamoDBLatency, QdrantLatency    - Milliseconds, one sample per call
+//   ItemsScanned                               - Count of items DynamoDB read for a Query/Scan
+//   ResultCount                                - Count of items a handler returned
+//   Status2xx/3xx/4xx/5xx                      - Count of responses by status class
+//   VectorSource.VectorTable/QdrantScroll      - Count of query vectors found by each path
+//   VectorBackend.qdrant/memory                - Count of vector searches answered by each backend
+//   VectorBackendFallback                      - Count of operations Qdrant could not answer (memory did)
+//   PhotoScanFallback                          - Count of photo reads that had to scan the table
+//   QdrantErrors                               - Count of failed Qdrant calls
+//   <name>CacheHit/<name>CacheMiss             - Count of versioned cache lookups
+
+const NAMESPACE = process.env.METRICS_NAMESPACE || 'PhotoViewerApi';
+
+// EMF accepts at most 100 values per metric in one line
+const MAX_SAMPLES = 100;
+
+const newRecorder = () => new Map(); // name -> { unit, values }
+
+function record(name, value, unit, aggregate) {
+  const recorder = currentContext()?.metrics;
+  if (!recorder || !Number.isFinite(value)) return;
+  const metric = recorder.get(name);
+  if (!metric) {
+    recorder.set(name, { unit, values: [value] });
+  } else if (aggregate === 'sum') {
+    metric.values[0] += value;
+  } else if (metric.values.length < MAX_SAMPLES) {
+    metric.values.push(value);
+  }
+}
+
+const metrics = {
+  // Counters are summed over the request
+  count: (name, value = 1) => record(name, value, 'Count', 'sum'),
+  // Timings keep every sample, so percentiles stay meaningful
+  timing: (name, ms) => record(name, Math.round(ms), 'Milliseconds', 'samples'),
+};
+
+// Run fn and record how long it took under name, whether it resolved or threw
+async function timed(name, fn) {
+  const start = Date.now();
+  try {
+    return await fn();
+  } finally {
+    metrics.timing(name, Date.now() - start);
+  }
+}
+
+// Record DynamoDBLatency for every command a DynamoDB (document) client sends,
+// and ItemsScanned for Query and Scan. Returns the client.
+function withDynamoMetrics(client) {
+  client.middlewareStack.add(next => async (args) => {
+    const start = Date.now();
+    try {
+      const result = await next(args);
+      const scanned = result.output?.ScannedCount;
+      if (scanned !== undefined) metrics.count('ItemsScanned', scanned);
+      return result;
+    } finally {
+      metrics.timing('DynamoDBLatency', Date.now() - start);
+    }
+  }, { step: 'initialize', name: 'photoViewerDynamoMetrics' });
+  return client;
+}
+
+// The EMF log line for a recorder, or null when nothing was recorded
+function toEmf(recorder, dimensions) {
+  if (!recorder.size) return null;
+  const line = {
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [{
+        Namespace: NAMESPACE,
+        Dimensions: [Object.keys(dimensions)],
+        Metrics: [...recorder.entries()].map(([name, { unit }]) => ({ Name: name, Unit: unit })),
+      }],
+    },
+    ...dimensions,
+  };
+  recorder.forEach(({ values }, name) => {
+    line[name] = values.length === 1 ? values[0] : values;
+  });
+  return line;
+}
+
+// Write the current request's metrics and start over
+function flushMetrics() {
+  const context = currentContext();
+  if (!context?.metrics) return;
+  const line = toEmf(context.metrics, { Handler: context.handler });
+  context.metrics = newRecorder();
+  if (line) {
+    line.requestId = context.requestId;
+    process.stdout.write(`${JSON.stringify(line)}\n`);
+  }
+}
+
+module.exports = {
+  metrics,
+  timed,
+  withDynamoMetrics,
+  newRecorder,
+  flushMetrics,
+};
@@ -0,0 +1,328 @@
+// lib/photoEdits.js
+'use strict';
+
+const crypto = require('crypto');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  QueryCommand,
+  TransactWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { photoIndexKeys, filterRowsForPhoto, rowId } = require('./filterPaths');
+const { countUpdate, isConditionalCancel } = require('./filterCounts');
+const { versionBump } = require('./datasetVersion');
+const { keyToId, qdrantRequest } = require('./qdrant');
+const { assertCanSee } = require('./access');
+const { BadRequestError, NotFoundError, ForbiddenError, ConflictError, getHeader } = require('./http');
+const { logger } = require('./logger');
+const { withDynamoMetrics } = require('./metrics');
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+
+const VECTOR_TABLE_NAME = process.env.VECTOR_TABLE_NAME || 'photoVectors';
+const AUDIT_TABLE_NAME = process.env.AUDIT_TABLE_NAME || 'PhotoViewerAudit';
+const AUDIT_BATCH_INDEX = 'BatchIndex'; // PK BatchId, SK AuditId
+
+// Fields a client may edit, and the ones a photo can never be without
+const EDITABLE_FIELDS = ['Year', 'Event', 'Day', 'Team', 'Misc'];
+const REQUIRED_FIELDS = ['Year', 'Event', 'Day'];
+// Fields that may also hold a list of values (see filterRowsForPhoto)
+const MULTI_VALUED_FIELDS = ['Misc'];
+
+const pickFields = (item) => EDITABLE_FIELDS.reduce((acc, field) => {
+  if (item[field] !== undefined) acc[field] = item[field];
+  return acc;
+}, {});
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Validate a PATCH body into { field: value | null }, null meaning "remove"
+function validateChanges(body) {
+  const changes = {};
+  for (const [field, rawValue] of Object.entries(body)) {
+    if (field === 'batchId') continue;
+    if (!EDITABLE_FIELDS.includes(field)) {
+      throw new BadRequestError(`Field '${field}' cannot be edited; editable fields are ${EDITABLE_FIELDS.join(', ')}`);
+    }
+    // Trimmed before the empty check, so whitespace alone removes a field like ''
+    const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+    const empty = value === null || value === '';
+    if (empty && REQUIRED_FIELDS.includes(field)) {
+      throw new BadRequestError(`Field '${field}' cannot be removed`);
+    }
+    if (empty) {
+      changes[field] = null;
+    } else if (MULTI_VALUED_FIELDS.includes(field) && Array.isArray(value)) {
+      if (!value.length || !value.every(v => typeof v === 'string' && v.trim())) {
+        throw new BadRequestError(`Field '${field}' must be a string or a non-empty array of strings`);
+      }
+      changes[field] = [...new Set(value.map(v => v.trim()))];
+    } else if (typeof value !== 'string') {
+      throw new BadRequestError(MULTI_VALUED_FIELDS.includes(field)
+        ? `Field '${field}' must be a string or a non-empty array of strings`
+        : `Field '${field}' must be a string`);
+    } else {
+      changes[field] = value;
+    }
+  }
+  if (!Object.keys(changes).length) {
+    throw new BadRequestError('No editable fields in request body');
+  }
+  return changes;
+}
+
+// Condition that the hierarchy fields still hold the values we read, so two
+// concurrent edits cannot both adjust the counts from the same starting point
+function unchangedCondition(item, names, values) {
+  return EDITABLE_FIELDS.map((field, i) => {
+    names[`#c${i}`] = field;
+    if (item[field] === undefined) return `attribute_not_exists(#c${i})`;
+    values[`:c${i}`] = item[field];
+    return `#c${i} = :c${i}`;
+  }).join(' AND ');
+}
+
+function auditPut(entry) {
+  const createdAt = new Date().toISOString();
+  return {
+    Put: {
+      TableName: AUDIT_TABLE_NAME,
+      Item: {
+        AuditId: `${createdAt}#${crypto.randomUUID()}`,
+        CreatedAt: createdAt,
+        ...entry,
+      },
+    },
+  };
+}
+
+// The photo as it is now; photos in events the caller cannot see do not exist for them
+async function getCurrentItem(key, scope) {
+  const resp = await ddb.send(new GetCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: { Key: key },
+    ConsistentRead: true,
+  }));
+  if (!resp.Item || (scope && !scope.canSee(resp.Item))) throw new NotFoundError('Photo not found');
+  return resp.Item;
+}
+
+// Counts move from the rows only the old item is in to the rows only the new item is in
+function countMoves(before, after) {
+  const oldRows = filterRowsForPhoto(before);
+  const newRows = filterRowsForPhoto(after);
+  const oldIds = new Set(oldRows.map(rowId));
+  const newIds = new Set(newRows.map(rowId));
+  return [
+    ...oldRows.filter(row => !newIds.has(rowId(row))).map(row => countUpdate(row, -1)),
+    ...newRows.filter(row => !oldIds.has(rowId(row))).map(row => countUpdate(row, 1)),
+  ];
+}
+
+// Qdrant payloads carry the same fields for filtered search; the vector sync job
+// repairs anything missed here, so failures are only logged
+async function syncQdrantPayload(item, removed) {
+  const id = item.VectorId !== undefined ? BigInt(item.VectorId) : keyToId(item.Key);
+  try {
+    await qdrantRequest('post', '/points/payload', { payload: { Key: item.Key, ...pickFields(item) }, points: [id] });
+    if (removed.length) {
+      await qdrantRequest('post', '/points/payload/delete', { keys: removed, points: [id] });
+    }
+  } catch (error) {
+    logger.error('Error updating Qdrant payload', { key: item.Key, error: error.message });
+  }
+}
+
+// Apply validated changes to a photo, moving its filter counts and recording an
+// audit entry in the same transaction. `expected` optionally pins the values the
+// caller believes are current (used when reverting). With an access `scope`
+// the photo can neither be read from nor moved into an event the caller cannot see.
+async function updatePhoto(key, changes, { actor, batchId, action = 'update', expected, scope } = {}) {
+  const current = await getCurrentItem(key, scope);
+
+  if (expected && Object.entries(expected).some(([field, value]) => !sameValue(current[field], value))) {
+    throw new ConflictError(`Photo ${key} has changed since the edit being reverted`);
+  }
+
+  const changed = Object.keys(changes).filter(field => !sameValue(current[field], changes[field]));
+  if (!changed.length) {
+    return { changed: false, item: current };
+  }
+
+  const updated = { ...current };
+  changed.forEach(field => {
+    if (changes[field] === null) delete updated[field];
+    else updated[field] = changes[field];
+  });
+  Object.assign(updated, photoIndexKeys(updated));
+  if (scope) assertCanSee(scope, updated);
+
+  const names = { '#key': 'Key' };
+  const values = {};
+  const sets = [];
+  const removes = [];
+  [...changed, 'EventPath', 'DayKey'].forEach((field, i) => {
+    names[`#u${i}`] = field;
+    if (updated[field] === undefined) {
+      removes.push(`#u${i}`);
+    } else {
+      values[`:u${i}`] = updated[field];
+      sets.push(`#u${i} = :u${i}`);
+    }
+  });
+  const condition = `attribute_exists(#key) AND ${unchangedCondition(current, names, values)}`;
+
+  try {
+    await ddb.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: process.env.TABLE_NAME,
+            Key: { Key: key },
+            UpdateExpression: [
+              sets.length ? `SET ${sets.join(', ')}` : '',
+              removes.length ? `REMOVE ${removes.join(', ')}` : '',
+            ].join(' ').trim(),
+            ConditionExpression: condition,
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+          },
+        },
+        ...countMoves(current, updated),
+        versionBump(),
+        auditPut({
+          PhotoKey: key,
+          BatchId: batchId,
+          Action: action,
+          Actor: actor,
+          Changed: changed,
+          Before: pickFields(current),
+          After: pickFields(updated),
+        }),
+      ],
+    }));
+  } catch (error) {
+    if (isConditionalCancel(error)) {
+      throw new ConflictError(`Photo ${key} was modified concurrently, please retry`);
+    }
+    throw error;
+  }
+
+  await syncQdrantPayload(updated, changed.filter(field => updated[field] === undefined));
+  return { changed: true, item: updated };
+}
+
+// Delete a photo with its vector row and filter counts, then drop its Qdrant point
+async function deletePhoto(key, { actor, batchId, scope } = {}) {
+  const current = await getCurrentItem(key, scope);
+  const names = { '#key': 'Key' };
+  const values = {};
+  const condition = `attribute_exists(#key) AND ${unchangedCondition(current, names, values)}`;
+
+  try {
+    await ddb.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Delete: {
+            TableName: process.env.TABLE_NAME,
+            Key: { Key: key },
+            ConditionExpression: condition,
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+          },
+        },
+        ...filterRowsForPhoto(current).map(row => countUpdate(row, -1)),
+        { Delete: { TableName: VECTOR_TABLE_NAME, Key: { PhotoKey: key } } },
+        versionBump(),
+        auditPut({
+          PhotoKey: key,
+          BatchId: batchId,
+          Action: 'delete',
+          Actor: actor,
+          Before: current,
+        }),
+      ],
+    }));
+  } catch (error) {
+    if (isConditionalCancel(error)) {
+      throw new ConflictError(`Photo ${key} was modified concurrently, please retry`);
+    }
+    throw error;
+  }
+
+  const id = current.VectorId !== undefined ? BigInt(current.VectorId) : keyToId(key);
+  try {
+    await qdrantRequest('post', '/points/delete', { points: [id] });
+  } catch (error) {
+    logger.error('Error deleting Qdrant point', { pointId: id, key, error: error.message });
+  }
+  return { deleted: true };
+}
+
+// Undo every update recorded under a batch, newest first. Photos edited again
+// since the batch are reported as conflicts and left alone; deletes cannot be
+// undone here because their vectors are gone.
+async function revertBatch(batchId, { actor, scope } = {}) {
+  let entries = [];
+  let lastKey = undefined;
+  do {
+    const resp = await ddb.send(new QueryCommand({
+      TableName: AUDIT_TABLE_NAME,
+      IndexName: AUDIT_BATCH_INDEX,
+      KeyConditionExpression: 'BatchId = :b',
+      ExpressionAttributeValues: { ':b': batchId },
+      ScanIndexForward: false,
+      ExclusiveStartKey: lastKey,
+    }));
+    entries = entries.concat(resp.Items || []);
+    lastKey = resp.LastEvaluatedKey;
+  } while (lastKey);
+
+  if (!entries.length) throw new NotFoundError(`No audit entries for batch ${batchId}`);
+
+  const revertBatchId = `revert-${batchId}-${crypto.randomUUID()}`;
+  const report = { batchId, revertBatchId, reverted: [], conflicts: [], skipped: [] };
+
+  for (const entry of entries) {
+    if (entry.Action !== 'update' && entry.Action !== 'revert') {
+      report.skipped.push({ id: entry.PhotoKey, reason: `${entry.Action} cannot be reverted` });
+      continue;
+    }
+    const expected = {};
+    const changes = {};
+    entry.Changed.forEach(field => {
+      expected[field] = entry.After[field];
+      changes[field] = entry.Before[field] ?? null;
+    });
+    try {
+      await updatePhoto(entry.PhotoKey, changes, { actor, batchId: revertBatchId, action: 'revert', expected, scope });
+      report.reverted.push(entry.PhotoKey);
+    } catch (error) {
+      if (!(error instanceof ConflictError || error instanceof NotFoundError || error instanceof ForbiddenError)) throw error;
+      report.conflicts.push({ id: entry.PhotoKey, reason: error.message });
+    }
+  }
+  return report;
+}
+
+// Who made an edit and which batch it belongs to. Bulk retags should send the
+// same X-Batch-Id header (or body batchId) on every request so they can be
+// reverted together; single edits get a batch of their own.
+function editContext(event, body = {}) {
+  return {
+    actor: event.requestContext?.authorizer?.principalId || 'anonymous',
+    batchId: body.batchId || getHeader(event, 'X-Batch-Id') || crypto.randomUUID(),
+  };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  editContext,
+  validateChanges,
+  updatePhoto,
+  deletePhoto,
+  revertBatch,
+};
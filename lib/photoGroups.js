@@ -0,0 +1,152 @@
+// lib/photoGroups.js
+'use strict';
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, BatchGetCommand } = require('@aws-sdk/lib-dynamodb');
+const { BadRequestError } = require('./http');
+const { normalize, dot } = require('./vectorMath');
+const { withDynamoMetrics } = require('./metrics');
+
+// Groups near-duplicate photos (bursts) by embedding similarity. Photos are
+// visited in Key order, which follows capture order within a day, and each one
+// joins the most similar existing group whose centroid it matches at or above
+// the threshold, otherwise it starts a new group. Photos without a vector in
+// photoVectors are left as groups of one. Each group keeps a running sum and
+// its unit centroid, so a photo costs one dot product per group.
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+
+const VECTOR_TABLE_NAME = process.env.VECTOR_TABLE_NAME || 'photoVectors';
+
+// Cosine similarity a photo needs with a group to join it
+const DEFAULT_GROUP_THRESHOLD = parseFloat(process.env.GROUP_THRESHOLD) || 0.92;
+
+// Most photos one request may group; wider selections must be narrowed (e.g. to a Day)
+const MAX_GROUP_PHOTOS = parseInt(process.env.GROUP_MAX_PHOTOS) || 2000;
+
+const BATCH_GET_SIZE = 100;
+const BATCH_GET_CONCURRENCY = 4;
+
+const chunk = (list, size) => {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+  return chunks;
+};
+
+// Validate a threshold query param; undefined means the default
+function parseThreshold(value, name = 'threshold') {
+  if (value === undefined || value === '') return DEFAULT_GROUP_THRESHOLD;
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new BadRequestError(`${name} must be a number between 0 and 1`);
+  }
+  return threshold;
+}
+
+// Reject selections that would have to read whole years (or the whole table)
+// before assertGroupable could turn them down
+function assertNarrowSelection(filters) {
+  if (!filters.some(f => f.op === 'in' && (f.attr === 'Event' || f.attr === 'Day'))) {
+    throw new BadRequestError('Grouping needs an Event or Day selection');
+  }
+}
+
+function assertGroupable(count) {
+  if (count > MAX_GROUP_PHOTOS) {
+    throw new BadRequestError(`Grouping is limited to ${MAX_GROUP_PHOTOS} photos and ${count} match; select a Day or narrow the filters`);
+  }
+}
+
+async function getVectorRows(keys) {
+  const rows = [];
+  let request = { [VECTOR_TABLE_NAME]: { Keys: keys.map(key => ({ PhotoKey: key })) } };
+  while (request && Object.keys(request).length) {
+    const resp = await ddb.send(new BatchGetCommand({ RequestItems: request }));
+    rows.push(...(resp.Responses?.[VECTOR_TABLE_NAME] || []));
+    request = resp.UnprocessedKeys;
+  }
+  return rows;
+}
+
+// Unit vectors from photoVectors for the given keys, as Map<key, Float32Array>
+async function loadVectors(keys) {
+  const vectors = new Map();
+  const batches = chunk([...new Set(keys)], BATCH_GET_SIZE);
+  for (const wave of chunk(batches, BATCH_GET_CONCURRENCY)) {
+    const results = await Promise.all(wave.map(getVectorRows));
+    results.flat().forEach(row => {
+      if (Array.isArray(row.Vector) && row.Vector.length) {
+        vectors.set(row.PhotoKey, normalize(row.Vector));
+      }
+    });
+  }
+  return vectors;
+}
+
+const byKey = (a, b) => a.Key.localeCompare(b.Key, undefined, { numeric: true });
+
+// The member most similar to the rest of the group; ties go to the earliest Key.
+// Its similarity to the others is its dot product with the group sum less itself.
+function chooseRepresentative(cluster, vectors) {
+  let best = cluster.items[0];
+  let bestScore = -Infinity;
+  cluster.items.forEach(candidate => {
+    const vector = vectors.get(candidate.Key);
+    const score = dot(vector, cluster.sum) - dot(vector, vector);
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// Cluster photoViewer items into [{ representative, items }] in Key order
+function groupPhotos(items, vectors, threshold = DEFAULT_GROUP_THRESHOLD) {
+  const clusters = []; // { items, sum, centroid: Float32Array } for clusters with vectors
+  const groups = [];
+
+  [...items].sort(byKey).forEach(item => {
+    const vector = vectors.get(item.Key);
+    if (!vector) {
+      groups.push({ items: [item] });
+      return;
+    }
+
+    let best = null;
+    let bestScore = -Infinity;
+    clusters.forEach(cluster => {
+      const score = dot(vector, cluster.centroid);
+      if (score >= threshold && score > bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    });
+
+    if (best) {
+      best.items.push(item);
+      vector.forEach((x, i) => { best.sum[i] += x; });
+      best.centroid = normalize(best.sum);
+    } else {
+      const cluster = { items: [item], sum: Float32Array.from(vector), centroid: vector };
+      clusters.push(cluster);
+      groups.push(cluster);
+    }
+  });
+
+  return groups.map(group => ({
+    representative: group.sum ? chooseRepresentative(group, vectors) : group.items[0],
+    items: group.items,
+  }));
+}
+
+module.exports = {
+  DEFAULT_GROUP_THRESHOLD,
+  parseThreshold,
+  assertNarrowSelection,
+  assertGroupable,
+  loadVectors,
+  groupPhotos,
+};
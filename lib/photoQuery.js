@@ -0,0 +1,423 @@
+// lib/photoQuery.js
+'use strict';
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  BatchGetCommand,
+  QueryCommand,
+  ScanCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { ROOT_PATH, eventPath, parseEventPath, dayKeyPrefix } = require('./filterPaths');
+const { FILTERS_TABLE_NAME } = require('./filterCounts');
+const { BadRequestError } = require('./http');
+const { metrics, withDynamoMetrics } = require('./metrics');
+const { logger } = require('./logger');
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+
+// GSIs on photoViewer (see scripts/backfillPathKeys.js for the attributes they index)
+const EVENT_INDEX_NAME = process.env.PHOTOS_EVENT_INDEX || 'EventPathIndex'; // EventPath + DayKey
+const YEAR_INDEX_NAME = process.env.PHOTOS_YEAR_INDEX || 'YearIndex';        // Year + Key
+
+const BATCH_GET_SIZE = 100;
+
+// Parse query params (v2 HTTP API vs v1 REST) into { name: [values] }
+function parseQueryParams(event) {
+  return event.multiValueQueryStringParameters
+    || Object.entries(event.queryStringParameters || {}).reduce((acc, [k, v]) => {
+         acc[k] = v == null ? [] : Array.isArray(v) ? v : [v];
+         return acc;
+       }, {});
+}
+
+// Attributes clients may filter on and the operators each accepts. The
+// operator is a suffix on the param name:
+//   Year=2024&Year=2025   in        any of the values
+//   Team.not=A, Team!=A   not       none of the values
+//   Misc.contains=Podium  contains  every value (multi-valued attributes)
+//   Year.gte=2021         gte, lte, gt, lt - a single bound, compared numerically
+const RANGE_OPS = ['gte', 'lte', 'gt', 'lt'];
+const FILTER_ATTRIBUTES = {
+  Year: ['in', 'not', ...RANGE_OPS],
+  Event: ['in', 'not'],
+  Day: ['in', 'not'],
+  Team: ['in', 'not'],
+  Misc: ['in', 'not', 'contains'],
+};
+
+// Attributes stored either as one string or as a list of strings
+const MULTI_VALUED_ATTRIBUTES = ['Misc'];
+
+// Filter attributes that stand for a combination of stored attributes. An
+// EventPath value (YEAR#..#EVENT#..) selects one event of one year and is
+// matched on Year and Event, so it works on items and Qdrant payloads that do
+// not store EventPath themselves.
+const COMPOSITE_ATTRIBUTES = {
+  EventPath: parseEventPath,
+};
+
+const isCompositeAttribute = (attr) => Boolean(COMPOSITE_ATTRIBUTES[attr]);
+
+// The stored [attribute, value] pairs a composite filter value stands for
+function compositeParts(attr, value) {
+  const parts = COMPOSITE_ATTRIBUTES[attr](value);
+  if (!parts) {
+    throw new BadRequestError(`Invalid ${attr} value: ${value}`);
+  }
+  return Object.entries(parts);
+}
+
+// The { attr, op } a filter param name stands for, or a 400 for anything
+// outside FILTER_ATTRIBUTES
+function parseFilterName(name) {
+  let attr = name;
+  let op = 'in';
+  if (name.endsWith('!')) {
+    attr = name.slice(0, -1);
+    op = 'not';
+  } else if (name.includes('.')) {
+    attr = name.slice(0, name.lastIndexOf('.'));
+    op = name.slice(name.lastIndexOf('.') + 1);
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(FILTER_ATTRIBUTES, attr)) {
+    throw new BadRequestError(`Unknown filter '${name}'; filterable attributes are ${Object.keys(FILTER_ATTRIBUTES).join(', ')}`);
+  }
+  const ops = FILTER_ATTRIBUTES[attr];
+  if (!ops.includes(op)) {
+    const accepted = ops.map(accepted => (accepted === 'in' ? attr : `${attr}.${accepted}`));
+    throw new BadRequestError(`Unsupported filter '${name}'; ${attr} accepts ${accepted.join(', ')}`);
+  }
+  return { attr, op };
+}
+
+// Turn the non-reserved params into filter conditions (see FILTER_ATTRIBUTES)
+function filtersFromParams(raw, reservedParams = []) {
+  return Object.entries(raw)
+    .filter(([name, vals]) => !reservedParams.includes(name) && vals && vals.length)
+    .map(([name, vals]) => {
+      const { attr, op } = parseFilterName(name);
+      const values = [...new Set(vals)];
+      if (RANGE_OPS.includes(op) && values.length !== 1) {
+        throw new BadRequestError(`${name} takes a single value`);
+      }
+      return { attr, op, values };
+    });
+}
+
+// Filters in a JSON body use the query-string syntax: { "Year": ["2024"], "Team.not": ["A"] }
+function filtersFromBody(bodyFilters) {
+  if (bodyFilters === undefined) return [];
+  if (!bodyFilters || typeof bodyFilters !== 'object' || Array.isArray(bodyFilters)) {
+    throw new BadRequestError('filters must be an object of attribute names to values');
+  }
+  const raw = Object.entries(bodyFilters).reduce((acc, [name, v]) => {
+    acc[name] = (Array.isArray(v) ? v : [v]).filter(x => x !== null && x !== undefined && x !== '').map(String);
+    return acc;
+  }, {});
+  return filtersFromParams(raw);
+}
+
+// Numeric-aware so that Day 10 sorts after Day 9 and ranges compare numbers as numbers
+const compareValues = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+const RANGE_TESTS = {
+  gte: (cmp) => cmp >= 0,
+  lte: (cmp) => cmp <= 0,
+  gt: (cmp) => cmp > 0,
+  lt: (cmp) => cmp < 0,
+};
+
+const inRange = (value, op, bound) => RANGE_TESTS[op](compareValues(value, bound));
+
+// Attributes stored as fixed-width strings that sort in value order, which
+// DynamoDB can compare directly: TakenAt ('YYYY-MM-DDTHH:mm:ss', lib/exif.js)
+const ORDERED_STRING_ATTRIBUTES = ['TakenAt'];
+
+const RANGE_COMPARATORS = { gte: '>=', lte: '<=', gt: '>', lt: '<' };
+
+// DynamoDB and Qdrant compare Year as a string, so Year ranges are resolved
+// (resolveYearRanges) before a filter reaches either of them
+function assertNoRange(filter) {
+  if (RANGE_OPS.includes(filter.op)) {
+    throw new Error(`${filter.attr}.${filter.op} must be resolved before querying`);
+  }
+}
+
+// Build a DynamoDB FilterExpression from filter conditions. Placeholders are
+// positional so attribute names never have to be valid placeholder tokens.
+function buildFilterExpression(filters) {
+  if (!filters.length) return {};
+
+  const ExpressionAttributeNames = {};
+  const ExpressionAttributeValues = {};
+  const clauses = filters.map((filter, i) => {
+    if (RANGE_OPS.includes(filter.op) && ORDERED_STRING_ATTRIBUTES.includes(filter.attr)) {
+      ExpressionAttributeNames[`#f${i}`] = filter.attr;
+      ExpressionAttributeValues[`:f${i}_0`] = filter.values[0];
+      return `#f${i} ${RANGE_COMPARATORS[filter.op]} :f${i}_0`;
+    }
+    assertNoRange(filter);
+    let clause;
+    if (isCompositeAttribute(filter.attr)) {
+      // ((#f0_0 = :f0_0_0 AND #f0_1 = :f0_0_1) OR (...)) - one group per value
+      const groups = filter.values.map((v, j) => compositeParts(filter.attr, v).map(([attr, partValue], k) => {
+        ExpressionAttributeNames[`#f${i}_${k}`] = attr;
+        ExpressionAttributeValues[`:f${i}_${j}_${k}`] = partValue;
+        return `#f${i}_${k} = :f${i}_${j}_${k}`;
+      }).join(' AND '));
+      clause = `(${groups.map(group => `(${group})`).join(' OR ')})`;
+    } else {
+      const name = `#f${i}`;
+      ExpressionAttributeNames[name] = filter.attr;
+      const phs = filter.values.map((v, j) => {
+        const ph = `:f${i}_${j}`;
+        ExpressionAttributeValues[ph] = v;
+        return ph;
+      });
+      if (MULTI_VALUED_ATTRIBUTES.includes(filter.attr)) {
+        // IN cannot look inside a list: a value matches the string itself or a list element
+        ExpressionAttributeValues[':list_type'] = 'L';
+        const tests = phs.map(ph => `(${name} = ${ph} OR (attribute_type(${name}, :list_type) AND contains(${name}, ${ph})))`);
+        clause = `(${tests.join(filter.op === 'contains' ? ' AND ' : ' OR ')})`;
+      } else {
+        clause = `${name} IN (${phs.join(',')})`;
+      }
+    }
+    return filter.op === 'not' ? `NOT (${clause})` : clause;
+  });
+
+  return {
+    FilterExpression: clauses.join(' AND '),
+    ExpressionAttributeNames,
+    ExpressionAttributeValues,
+  };
+}
+
+// Evaluate filter conditions against an item in memory. A list attribute
+// (multi-valued Misc) matches when any of its elements does.
+function matchesFilters(item, filters) {
+  const valuesOf = (attr) => [].concat(item[attr] ?? []).map(String);
+  return filters.every(filter => {
+    if (RANGE_OPS.includes(filter.op)) {
+      return valuesOf(filter.attr).some(value => inRange(value, filter.op, filter.values[0]));
+    }
+    if (filter.op === 'contains') {
+      return filter.values.every(v => valuesOf(filter.attr).includes(v));
+    }
+    const hit = isCompositeAttribute(filter.attr)
+      ? filter.values.some(v => compositeParts(filter.attr, v)
+          .every(([attr, partValue]) => valuesOf(attr).includes(partValue)))
+      : valuesOf(filter.attr).some(value => filter.values.includes(value));
+    return filter.op === 'not' ? !hit : hit;
+  });
+}
+
+const valuesFor = (filters, attr) => {
+  const filter = filters.find(f => f.attr === attr && f.op === 'in');
+  return filter ? filter.values : [];
+};
+
+// Decide how to read photoViewer for a set of filters. Year+Event(+Day) selections
+// become one EventPathIndex query per combination, Year alone uses YearIndex, and
+// anything else falls back to a full Scan. Conditions not covered by the key
+// condition stay in the residual FilterExpression.
+function planPhotoQuery(filters) {
+  const years = valuesFor(filters, 'Year');
+  const events = valuesFor(filters, 'Event');
+  const days = valuesFor(filters, 'Day');
+
+  if (years.length && events.length) {
+    const queries = [];
+    years.forEach(year => {
+      events.forEach(eventVal => {
+        if (days.length) {
+          days.forEach(day => queries.push({
+            KeyConditionExpression: '#pk = :pk AND begins_with(#sk, :sk)',
+            ExpressionAttributeNames: { '#pk': 'EventPath', '#sk': 'DayKey' },
+            ExpressionAttributeValues: { ':pk': eventPath(year, eventVal), ':sk': dayKeyPrefix(day) },
+          }));
+        } else {
+          queries.push({
+            KeyConditionExpression: '#pk = :pk',
+            ExpressionAttributeNames: { '#pk': 'EventPath' },
+            ExpressionAttributeValues: { ':pk': eventPath(year, eventVal) },
+          });
+        }
+      });
+    });
+    const consumed = days.length ? ['Year', 'Event', 'Day'] : ['Year', 'Event'];
+    return {
+      type: 'query',
+      index: EVENT_INDEX_NAME,
+      queries,
+      residual: filters.filter(f => !(f.op === 'in' && consumed.includes(f.attr))),
+    };
+  }
+
+  if (years.length) {
+    return {
+      type: 'query',
+      index: YEAR_INDEX_NAME,
+      queries: years.map(year => ({
+        KeyConditionExpression: '#pk = :pk',
+        ExpressionAttributeNames: { '#pk': 'Year' },
+        ExpressionAttributeValues: { ':pk': year },
+      })),
+      residual: filters.filter(f => !(f.op === 'in' && f.attr === 'Year')),
+    };
+  }
+
+  return { type: 'scan', residual: filters };
+}
+
+// Run every page of a Query or Scan and collect the items
+async function readAllPages(Command, baseParams) {
+  let items = [];
+  let lastKey = undefined;
+
+  do {
+    const params = { ...baseParams };
+    if (lastKey) {
+      params.ExclusiveStartKey = lastKey;
+    }
+    const resp = await ddb.send(new Command(params));
+    items = items.concat(resp.Items || []);
+    lastKey = resp.LastEvaluatedKey;
+  } while (lastKey);
+
+  return items;
+}
+
+// Year values PhotoViewerFilters currently counts photos for
+async function knownYears() {
+  const rows = await readAllPages(QueryCommand, {
+    TableName: FILTERS_TABLE_NAME,
+    KeyConditionExpression: 'ParentPath = :pp AND begins_with(SK, :sk)',
+    ExpressionAttributeValues: { ':pp': ROOT_PATH, ':sk': 'YEAR#' },
+    ProjectionExpression: 'ActualFilterValue, PhotoCount',
+  });
+  return rows.filter(row => row.PhotoCount > 0).map(row => row.ActualFilterValue);
+}
+
+// Replace Year ranges with an IN over the known years inside them, narrowed by
+// any Year selection. Qdrant holds Year as a keyword it cannot order, and an
+// IN lets planPhotoQuery use YearIndex. When no year is in range the IN is
+// left with no values (see matchesNothing).
+async function resolveYearRanges(filters) {
+  const isYearRange = (f) => f.attr === 'Year' && RANGE_OPS.includes(f.op);
+  const ranges = filters.filter(isYearRange);
+  if (!ranges.length) return filters;
+
+  const years = (await knownYears())
+    .filter(year => ranges.every(range => inRange(year, range.op, range.values[0])));
+  const rest = filters.filter(f => !isYearRange(f));
+  const selection = rest.find(f => f.attr === 'Year' && f.op === 'in');
+  if (!selection) {
+    return [...rest, { attr: 'Year', op: 'in', values: years }];
+  }
+  return rest.map(f => (f === selection ? { ...f, values: f.values.filter(v => years.includes(v)) } : f));
+}
+
+// An IN with nothing to match, which no photo can satisfy
+const matchesNothing = (filters) => filters.some(f => f.op === 'in' && !f.values.length);
+
+// DynamoDB's answer to a Query on a GSI the table does not have (yet). Other
+// validation errors are bugs in the query and must not turn into a Scan.
+const isMissingIndex = (error) => error.name === 'ValidationException'
+  && /does not have the specified index/.test(error.message);
+
+async function scanPhotoItems(filters) {
+  // No index fits the filters (or it is missing); worth watching as the table grows
+  metrics.count('PhotoScanFallback');
+  const params = { TableName: process.env.TABLE_NAME };
+  const residual = buildFilterExpression(filters);
+  if (residual.FilterExpression) {
+    Object.assign(params, residual);
+  }
+  return readAllPages(ScanCommand, params);
+}
+
+// Every item the plan's index queries return, with the residual conditions applied
+async function queryPhotoItems(plan) {
+  const residual = buildFilterExpression(plan.residual);
+  const results = await Promise.all(plan.queries.map(query => {
+    const params = {
+      TableName: process.env.TABLE_NAME,
+      IndexName: plan.index,
+      KeyConditionExpression: query.KeyConditionExpression,
+      ExpressionAttributeNames: { ...query.ExpressionAttributeNames },
+      ExpressionAttributeValues: { ...query.ExpressionAttributeValues },
+    };
+    if (residual.FilterExpression) {
+      params.FilterExpression = residual.FilterExpression;
+      Object.assign(params.ExpressionAttributeNames, residual.ExpressionAttributeNames);
+      Object.assign(params.ExpressionAttributeValues, residual.ExpressionAttributeValues);
+    }
+    return readAllPages(QueryCommand, params);
+  }));
+  return results.flat();
+}
+
+// Fetch every photoViewer item matching the filters using the cheapest access path.
+// Returns the items along with a description of the access path that was used.
+// A query on an index that does not exist falls back to a Scan, so deploying
+// before the GSIs are created degrades to slow reads rather than errors.
+async function fetchPhotoItems(requestedFilters) {
+  const filters = await resolveYearRanges(requestedFilters);
+  if (matchesNothing(filters)) {
+    return { items: [], accessPath: { type: 'none' } };
+  }
+
+  const plan = planPhotoQuery(filters);
+  if (plan.type === 'scan') {
+    return { items: await scanPhotoItems(filters), accessPath: { type: 'scan' } };
+  }
+
+  try {
+    const items = await queryPhotoItems(plan);
+    return { items, accessPath: { type: 'query', index: plan.index, queries: plan.queries.length } };
+  } catch (error) {
+    if (!isMissingIndex(error)) throw error;
+    logger.warn('Photo index query failed, scanning instead', { index: plan.index, error: error.message });
+    return { items: await scanPhotoItems(filters), accessPath: { type: 'scan', failedIndex: plan.index } };
+  }
+}
+
+// photoViewer items for the given keys, in no particular order; missing keys are left out
+async function getPhotoItems(keys) {
+  const tableName = process.env.TABLE_NAME;
+  const items = [];
+  for (let i = 0; i < keys.length; i += BATCH_GET_SIZE) {
+    let request = { [tableName]: { Keys: keys.slice(i, i + BATCH_GET_SIZE).map(key => ({ Key: key })) } };
+    while (request && Object.keys(request).length) {
+      const resp = await ddb.send(new BatchGetCommand({ RequestItems: request }));
+      items.push(...(resp.Responses?.[tableName] || []));
+      request = resp.UnprocessedKeys;
+    }
+  }
+  return items;
+}
+
+module.exports = {
+  EVENT_INDEX_NAME,
+  RANGE_OPS,
+  FILTER_ATTRIBUTES,
+  parseQueryParams,
+  filtersFromParams,
+  filtersFromBody,
+  isCompositeAttribute,
+  compositeParts,
+  assertNoRange,
+  buildFilterExpression,
+  matchesFilters,
+  resolveYearRanges,
+  matchesNothing,
+  planPhotoQuery,
+  readAllPages,
+  fetchPhotoItems,
+  getPhotoItems,
+};
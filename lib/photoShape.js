@@ -0,0 +1,87 @@
+// lib/photoShape.js
+'use strict';
+
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// The photo shape returned by the API for a photoViewer item. Hi-res originals
+// are only reachable through presigned GET URLs that expire; thumbnails stay
+// public unless PUBLIC_THUMBNAILS is 'false'.
+
+const S3_BUCKET = process.env.S3_BUCKET || 'trackphotos-eu-west-1';
+const S3_REGION = process.env.S3_REGION || process.env.AWS_REGION || 'eu-west-1';
+const S3_BASE = `https://${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com`;
+
+const HIRES_PREFIX = 'hiRes/';
+const THUMBNAIL_PREFIX = 'thumbNail/';
+
+// Lifetime of presigned URLs, in seconds
+const URL_EXPIRES_SECONDS = parseInt(process.env.HIRES_URL_EXPIRES_SECONDS) || 900;
+const PUBLIC_THUMBNAILS = process.env.PUBLIC_THUMBNAILS !== 'false';
+
+const s3 = new S3Client({ region: S3_REGION });
+
+// Presigned GET for an object in the photo bucket. downloadName makes the
+// browser save the file instead of displaying it.
+function presignObject(objectKey, { downloadName } = {}) {
+  const params = { Bucket: S3_BUCKET, Key: objectKey };
+  if (downloadName) {
+    const asciiName = downloadName.replace(/[^\x20-\x7e]|"/g, '_');
+    params.ResponseContentDisposition =
+      `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(downloadName)}`;
+  }
+  return getSignedUrl(s3, new GetObjectCommand(params), { expiresIn: URL_EXPIRES_SECONDS });
+}
+
+// Changes halfway through a presigned URL's lifetime. Responses that embed
+// presigned URLs put it in their ETag, so a copy revalidated with a 304 never
+// holds URLs that are about to expire.
+const urlEpoch = () => Math.floor(Date.now() / (URL_EXPIRES_SECONDS * 500));
+
+function thumbnailUrl(key) {
+  return PUBLIC_THUMBNAILS
+    ? Promise.resolve(`${S3_BASE}/${THUMBNAIL_PREFIX}${key}`)
+    : presignObject(`${THUMBNAIL_PREFIX}${key}`);
+}
+
+const hiResUrl = (key) => presignObject(`${HIRES_PREFIX}${key}`);
+
+// Fresh presigned URL that downloads the original under its file name
+const hiResDownloadUrl = (key) => presignObject(`${HIRES_PREFIX}${key}`, {
+  downloadName: key.split('/').pop(),
+});
+
+async function photoUrls(key) {
+  const [thumbnail, hiRes] = await Promise.all([thumbnailUrl(key), hiResUrl(key)]);
+  return { thumbnailUrl: thumbnail, hiResUrl: hiRes };
+}
+
+async function toPhoto(item) {
+  const key = item.Key;
+  const urls = await photoUrls(key);
+  return {
+    id:           key,
+    Year:         item.Year,
+    Event:        item.Event,
+    Day:          item.Day,
+    Team:         item.Team,
+    Misc:         item.Misc,
+    TakenAt:      item.TakenAt, // Camera-local capture time from EXIF (lib/exif.js)
+    Exif:         item.Exif,
+    UploadedAt:   item.UploadedAt, // When the original was uploaded (feeds order by it)
+    thumbnailUrl: urls.thumbnailUrl,
+    hiResUrl:     urls.hiResUrl,
+  };
+}
+
+module.exports = {
+  S3_BUCKET,
+  S3_REGION,
+  HIRES_PREFIX,
+  URL_EXPIRES_SECONDS,
+  presignObject,
+  urlEpoch,
+  photoUrls,
+  hiResDownloadUrl,
+  toPhoto,
+};
@@ -0,0 +1,30 @@
+// lib/photoSort.js
+'use strict';
+
+// Photo orderings shared by /photos sorting and the previous/next photo of GET /photos/{id}
+
+// Numeric-aware so that Day 10 sorts after Day 9; missing values sort last
+const compareValues = (a, b) => {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+// Comparator for a { field, order } sort with Key as the tie-breaker, so the
+// order is total. Missing values stay last in descending order too, so undated
+// photos never lead a TakenAt sort.
+const makeComparator = (sort) => {
+  const direction = sort.order === 'desc' ? -1 : 1;
+  return (a, b) => {
+    const aMissing = a[sort.field] == null;
+    const bMissing = b[sort.field] == null;
+    if (aMissing !== bMissing) return aMissing ? 1 : -1;
+    return direction * (compareValues(a[sort.field], b[sort.field]) || compareValues(a.Key, b.Key));
+  };
+};
+
+module.exports = {
+  compareValues,
+  makeComparator,
+};
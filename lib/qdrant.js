@@ -0,0 +1,164 @@
+// lib/qdrant.js
+'use strict';
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { createCircuitBreaker } = require('./circuitBreaker');
+const { isCompositeAttribute, compositeParts, assertNoRange } = require('./photoQuery');
+const { metrics } = require('./metrics');
+
+// Qdrant API base URL
+const QDRANT_BASE_URL = `http://${process.env.QDRANT_HOST}:${process.env.QDRANT_PORT}`;
+
+// Set timeout for Qdrant requests
+const QDRANT_TIMEOUT_MS = 10000; // 10 seconds timeout
+
+const COLLECTION_NAME = process.env.COLLECTION_NAME || 'photo_embeddings';
+
+// A positive collection check is trusted for this long before asking Qdrant again
+const COLLECTION_CHECK_TTL_MS = parseInt(process.env.QDRANT_COLLECTION_CHECK_TTL_MS) || 60000;
+
+// Shared by every Qdrant call in this container. Only network errors, timeouts
+// and 5xx responses count as failures; a 4xx means Qdrant is up.
+const qdrantBreaker = createCircuitBreaker({
+  name: 'qdrant',
+  failureThreshold: parseInt(process.env.QDRANT_BREAKER_FAILURE_THRESHOLD) || 3,
+  cooldownMs: parseInt(process.env.QDRANT_BREAKER_COOLDOWN_MS) || 30000,
+});
+
+class CircuitOpenError extends Error {}
+
+let collectionCheck = null; // { exists, checkedAt, pointsCount }
+
+// Convert a photo key to a stable numeric ID for Qdrant.
+// This is the same hash used in the Python notebook and add_vector_ids.py:
+// SHA1(key) mod 1e18. Returned as a BigInt because the IDs exceed
+// Number.MAX_SAFE_INTEGER and must reach Qdrant and DynamoDB unrounded.
+function keyToId(key) {
+  const sha1 = crypto.createHash('sha1').update(key).digest('hex');
+  return BigInt('0x' + sha1) % BigInt(10 ** 18);
+}
+
+// JSON.stringify that writes BigInt values as bare integers (point IDs)
+function stringifyBody(body) {
+  return JSON.stringify(body, (k, v) => (typeof v === 'bigint' ? `__bigint__${v}` : v))
+    .replace(/"__bigint__(\d+)"/g, '$1');
+}
+
+// JSON.parse that keeps point IDs (ids and scroll offsets) exact by reading them as strings
+function parseBody(raw) {
+  if (typeof raw !== 'string' || !raw) return raw;
+  return JSON.parse(raw.replace(/"(id|next_page_offset)":\s*(\d+)/g, '"$1":"$2"'));
+}
+
+// Call a Qdrant collection endpoint, e.g. qdrantRequest('post', '/points/search', {...}).
+// Throws CircuitOpenError without calling Qdrant while the breaker is open.
+async function qdrantRequest(method, path, body) {
+  if (!qdrantBreaker.allowRequest()) {
+    throw new CircuitOpenError('Qdrant circuit is open');
+  }
+
+  const start = Date.now();
+  try {
+    const response = await axios.request({
+      method,
+      url: `${QDRANT_BASE_URL}/collections/${COLLECTION_NAME}${path}`,
+      data: body === undefined ? undefined : stringifyBody(body),
+      timeout: QDRANT_TIMEOUT_MS,
+      transformResponse: [parseBody],
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+    qdrantBreaker.recordSuccess();
+    return response.data;
+  } catch (error) {
+    if (!error.response || error.response.status >= 500) {
+      qdrantBreaker.recordFailure(error);
+    } else {
+      qdrantBreaker.recordSuccess();
+    }
+    metrics.count('QdrantErrors');
+    throw error;
+  } finally {
+    metrics.timing('QdrantLatency', Date.now() - start);
+  }
+}
+
+// Whether the collection exists, cached for COLLECTION_CHECK_TTL_MS once it has
+// been seen. Pass { force: true } to always ask Qdrant.
+async function checkCollection({ force = false } = {}) {
+  if (!force && collectionCheck && collectionCheck.exists
+      && Date.now() - collectionCheck.checkedAt < COLLECTION_CHECK_TTL_MS) {
+    return collectionCheck;
+  }
+
+  try {
+    const data = await qdrantRequest('get', '');
+    collectionCheck = {
+      exists: true,
+      checkedAt: Date.now(),
+      status: data?.result?.status,
+      pointsCount: data?.result?.points_count,
+    };
+  } catch (error) {
+    if (!error.response || error.response.status !== 404) throw error;
+    collectionCheck = { exists: false, checkedAt: Date.now() };
+  }
+  return collectionCheck;
+}
+
+// Translate photo filter conditions (see lib/photoQuery.js) into a Qdrant
+// payload filter. Returns undefined when there is nothing to filter on. A match
+// on a list payload (multi-valued Misc) holds when any element matches.
+function buildQdrantFilter(filters) {
+  const must = [];
+  const mustNot = [];
+  filters.forEach(filter => {
+    assertNoRange(filter);
+    if (filter.op === 'contains') {
+      // Every value has to be present, so each is its own condition
+      filter.values.forEach(value => must.push({ key: filter.attr, match: { value } }));
+      return;
+    }
+    // Composite values (EventPath) become a nested filter: any value's parts all match
+    const condition = isCompositeAttribute(filter.attr)
+      ? {
+          should: filter.values.map(value => ({
+            must: compositeParts(filter.attr, value).map(([key, partValue]) => ({ key, match: { value: partValue } })),
+          })),
+        }
+      : { key: filter.attr, match: { any: filter.values } };
+    (filter.op === 'not' ? mustNot : must).push(condition);
+  });
+  if (!must.length && !mustNot.length) return undefined;
+
+  const qdrantFilter = {};
+  if (must.length) qdrantFilter.must = must;
+  if (mustNot.length) qdrantFilter.must_not = mustNot;
+  return qdrantFilter;
+}
+
+// Fetch a single point with its vector, or null if Qdrant does not have it
+async function getPoint(id) {
+  try {
+    const data = await qdrantRequest('get', `/points/${id}`);
+    return data?.result || null;
+  } catch (error) {
+    if (error.response && error.response.status === 404) return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  QDRANT_BASE_URL,
+  QDRANT_TIMEOUT_MS,
+  COLLECTION_NAME,
+  keyToId,
+  qdrantBreaker,
+  CircuitOpenError,
+  qdrantRequest,
+  checkCollection,
+  buildQdrantFilter,
+  getPoint,
+};
@@ -0,0 +1,93 @@
+// lib/recentPhotos.js
+'use strict';
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const {
+  EVENT_INDEX_NAME,
+  buildFilterExpression,
+  resolveYearRanges,
+  matchesNothing,
+  planPhotoQuery,
+  fetchPhotoItems,
+} = require('./photoQuery');
+const { withDynamoMetrics } = require('./metrics');
+
+// Newest uploads matching photo filter conditions (see lib/photoQuery.js), for
+// the photo feeds. A selection down to an event is read from EventPathIndex
+// like /photos; anything wider walks the RecentIndex GSI (UploadMonth +
+// UploadedAt, see lib/filterPaths.js) one month at a time, newest first, and
+// stops as soon as enough photos matched. Photos without UploadedAt (ingested
+// before it was recorded and not backfilled) never appear.
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+
+const RECENT_INDEX_NAME = process.env.PHOTOS_RECENT_INDEX || 'RecentIndex';
+
+// How far back the month walk goes before giving up on filling the feed
+const LOOKBACK_MONTHS = parseInt(process.env.FEED_LOOKBACK_MONTHS) || 24;
+
+// Items read per Query page; the filter expression is applied after the limit
+const PAGE_SIZE = 200;
+
+const newestFirst = (a, b) => b.UploadedAt.localeCompare(a.UploadedAt) || a.Key.localeCompare(b.Key);
+
+// 'YYYY-MM' of the current month and the (count - 1) months before it, newest first
+function recentMonths(count, now = new Date()) {
+  const months = [];
+  for (let i = 0; i < count; i++) {
+    const month = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+    months.push(month.toISOString().slice(0, 7));
+  }
+  return months;
+}
+
+async function queryMonth(month, filterExpression, wanted) {
+  const items = [];
+  let lastKey = undefined;
+  do {
+    const params = {
+      TableName: process.env.TABLE_NAME,
+      IndexName: RECENT_INDEX_NAME,
+      KeyConditionExpression: '#month = :month',
+      ExpressionAttributeNames: { '#month': 'UploadMonth', ...filterExpression.ExpressionAttributeNames },
+      ExpressionAttributeValues: { ':month': month, ...filterExpression.ExpressionAttributeValues },
+      ScanIndexForward: false, // Newest UploadedAt first
+      Limit: PAGE_SIZE,
+      ExclusiveStartKey: lastKey,
+    };
+    if (filterExpression.FilterExpression) {
+      params.FilterExpression = filterExpression.FilterExpression;
+    }
+    const resp = await ddb.send(new QueryCommand(params));
+    items.push(...(resp.Items || []));
+    lastKey = resp.LastEvaluatedKey;
+  } while (lastKey && items.length < wanted);
+  return items;
+}
+
+// Up to limit photoViewer items matching filters, newest upload first
+async function fetchRecentPhotos(requestedFilters, { limit }) {
+  const filters = await resolveYearRanges(requestedFilters);
+  if (matchesNothing(filters)) return [];
+
+  const plan = planPhotoQuery(filters);
+  if (plan.type === 'query' && plan.index === EVENT_INDEX_NAME) {
+    const { items } = await fetchPhotoItems(filters);
+    return items.filter(item => item.UploadedAt).sort(newestFirst).slice(0, limit);
+  }
+
+  const filterExpression = buildFilterExpression(filters);
+  const found = [];
+  for (const month of recentMonths(LOOKBACK_MONTHS)) {
+    found.push(...await queryMonth(month, filterExpression, limit - found.length));
+    if (found.length >= limit) break;
+  }
+  return found.sort(newestFirst).slice(0, limit);
+}
+
+module.exports = {
+  fetchRecentPhotos,
+};
@@ -0,0 +1,228 @@
+// lib/search.js
+'use strict';
+
+const { ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { parseFilterRow } = require('./filterPaths');
+const { FILTERS_TABLE_NAME } = require('./filterCounts');
+const { parseQueryParams, readAllPages } = require('./photoQuery');
+const { BadRequestError } = require('./http');
+const { getDatasetVersion } = require('./datasetVersion');
+
+// Free-text search over the Event/Team/Misc values in PhotoViewerFilters and
+// over photo file names. Both tables are read in full and kept per container
+// until the dataset version (lib/datasetVersion.js) moves on, so a search or a
+// suggestion is an in-memory pass. While photos keep changing (a bulk upload
+// bumps the version per photo) an index is rebuilt at most every INDEX_MIN_AGE_MS.
+
+const INDEX_MIN_AGE_MS = parseInt(process.env.SEARCH_INDEX_MIN_AGE_MS) || 60000;
+
+// Facets that can be searched; Year and Day are plain numbers
+const SEARCH_TYPES = ['Event', 'Team', 'Misc'];
+
+// Longer queries are not names anyone types, and cost an edit distance per word
+const MAX_QUERY_LENGTH = 100;
+
+let valueIndex = null; // { loadedAt, version, entries }
+let photoIndex = null; // { loadedAt, version, entries }
+
+// Lower case without accents, so "zurich" finds "Zürich"
+const normalize = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+const tokenize = (normalized) => normalized.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const indexEntry = (text, fields) => {
+  const normalized = normalize(text);
+  return { ...fields, normalized, tokens: tokenize(normalized) };
+};
+
+async function loadValues() {
+  const rows = await readAllPages(ScanCommand, {
+    TableName: FILTERS_TABLE_NAME,
+    ProjectionExpression: 'ParentPath, SK, ActualFilterValue, PhotoCount',
+  });
+  return rows
+    .filter(row => row.PhotoCount > 0)
+    .map(row => ({ row: parseFilterRow(row), count: row.PhotoCount }))
+    .filter(({ row }) => row && SEARCH_TYPES.includes(row.type) && row.value != null)
+    .map(({ row, count }) => indexEntry(row.value, { ...row, count }));
+}
+
+async function loadPhotos() {
+  const items = await readAllPages(ScanCommand, {
+    TableName: process.env.TABLE_NAME,
+    ProjectionExpression: '#key, #year, #event, #day, #team, #misc, TakenAt, Exif',
+    ExpressionAttributeNames: {
+      '#key': 'Key', '#year': 'Year', '#event': 'Event', '#day': 'Day', '#team': 'Team', '#misc': 'Misc',
+    },
+  });
+  return items.map(item => indexEntry(item.Key.split('/').pop(), { item }));
+}
+
+const isFresh = (index, version) => index
+  && (index.version === version || Date.now() - index.loadedAt < INDEX_MIN_AGE_MS);
+
+async function getValueIndex() {
+  const version = await getDatasetVersion();
+  if (!isFresh(valueIndex, version)) {
+    valueIndex = { loadedAt: Date.now(), version, entries: await loadValues() };
+  }
+  return valueIndex.entries;
+}
+
+async function getPhotoIndex() {
+  const version = await getDatasetVersion();
+  if (!isFresh(photoIndex, version)) {
+    photoIndex = { loadedAt: Date.now(), version, entries: await loadPhotos() };
+  }
+  return photoIndex.entries;
+}
+
+// Typos tolerated in one query word: none in short words, one from 4 letters, two from 8
+const allowedEdits = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+// Optimal string alignment distance (Levenshtein plus swapped neighbours).
+// Gives up with max + 1 once every alignment is already further than max.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Fewest edits turning a query word into a word of the value, or into the
+// start of one when the user may still be typing it
+function wordEdits(queryWord, valueWords, max) {
+  let best = max + 1;
+  valueWords.forEach(word => {
+    best = Math.min(
+      best,
+      editDistance(queryWord, word, max),
+      editDistance(queryWord, word.slice(0, queryWord.length), max),
+    );
+  });
+  return best;
+}
+
+// How well an index entry matches a normalized query, 0 for no match. Exact and
+// prefix matches rank above substrings, which rank above typo matches.
+function matchScore(query, entry, { fuzzy = true } = {}) {
+  if (entry.normalized === query) return 100;
+  if (entry.normalized.startsWith(query)) return 90;
+  if (entry.tokens.some(token => token.startsWith(query))) return 80;
+  if (!fuzzy) return 0;
+  if (entry.normalized.includes(query)) return 70;
+
+  const words = tokenize(query);
+  if (!words.length) return 0;
+  let edits = 0;
+  for (const word of words) {
+    const max = allowedEdits(word);
+    const wordCost = wordEdits(word, entry.tokens, max);
+    if (wordCost > max) return 0;
+    edits += wordCost;
+  }
+  return 60 - 10 * edits;
+}
+
+// q, limit and type (Team, or Team,Misc) from the query string of either endpoint
+function parseSearchParams(event, { defaultLimit, maxLimit }) {
+  const raw = parseQueryParams(event);
+  const last = (name) => (raw[name] && raw[name].length ? raw[name][raw[name].length - 1] : undefined);
+
+  const query = String(last('q') ?? '').trim();
+  if (!query) {
+    throw new BadRequestError('Missing required parameter: q');
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new BadRequestError(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  let limit = defaultLimit;
+  if (last('limit') !== undefined) {
+    limit = Number(last('limit'));
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new BadRequestError('limit must be a positive integer');
+    }
+    limit = Math.min(limit, maxLimit);
+  }
+
+  const types = (raw.type || []).flatMap(value => String(value).split(',')).map(type => type.trim()).filter(Boolean);
+  const unknown = types.filter(type => !SEARCH_TYPES.includes(type));
+  if (unknown.length) {
+    throw new BadRequestError(`type must be one of: ${SEARCH_TYPES.join(', ')}`);
+  }
+
+  return { query, limit, types: types.length ? [...new Set(types)] : SEARCH_TYPES };
+}
+
+// Whether the caller may see a hierarchy path (private Years/Events are hidden)
+function isVisible(scope, path) {
+  if (path.Event !== undefined) return scope.canSeeEvent(path.Year, path.Event);
+  return path.Year === undefined || scope.canSeeYear(path.Year);
+}
+
+const byScore = (a, b) => b.score - a.score || b.count - a.count || String(a.value).localeCompare(String(b.value));
+
+// Event/Team/Misc values matching the query, one per hierarchy path. types
+// narrows the facets searched; scope (lib/access) hides private events.
+async function searchValues(query, { types = SEARCH_TYPES, scope }) {
+  const normalized = normalize(query);
+  const entries = await getValueIndex();
+  return entries
+    .filter(entry => types.includes(entry.type) && isVisible(scope, entry.path))
+    .map(entry => ({ entry, score: matchScore(normalized, entry) }))
+    .filter(({ score }) => score > 0)
+    .map(({ entry, score }) => ({ type: entry.type, value: entry.value, path: entry.path, count: entry.count, score }))
+    .sort(byScore);
+}
+
+// Photos whose file name matches the query
+async function searchPhotos(query, { scope }) {
+  const normalized = normalize(query);
+  const entries = await getPhotoIndex();
+  return entries
+    .filter(entry => scope.canSee(entry.item))
+    .map(entry => ({ item: entry.item, score: matchScore(normalized, entry) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.item.Key.localeCompare(b.item.Key));
+}
+
+// Distinct values starting with the query (or with a word starting with it),
+// counts summed over every path they appear under
+async function suggestValues(query, { types = SEARCH_TYPES, scope }) {
+  const normalized = normalize(query);
+  const entries = await getValueIndex();
+  const suggestions = new Map();
+  entries.forEach(entry => {
+    if (!types.includes(entry.type) || !isVisible(scope, entry.path)) return;
+    const score = matchScore(normalized, entry, { fuzzy: false });
+    if (!score) return;
+    const id = `${entry.type}#${entry.value}`;
+    const suggestion = suggestions.get(id) || { type: entry.type, value: entry.value, count: 0, score };
+    suggestion.count += entry.count;
+    suggestions.set(id, suggestion);
+  });
+  return [...suggestions.values()].sort(byScore);
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  parseSearchParams,
+  searchValues,
+  searchPhotos,
+  suggestValues,
+};
@@ -0,0 +1,147 @@
+// lib/similarPhotos.js
+'use strict';
+
+const { runVectorOperation } = require('./vectorBackends');
+const { normalize, dot } = require('./vectorMath');
+const { photoUrls } = require('./photoShape');
+const { getPhotoItems } = require('./photoQuery');
+const { NotFoundError } = require('./http');
+
+// Similarity search shared by /similar and the inline similar photos of
+// GET /photos/{id}: ask a vector backend for hits, optionally re-rank them for
+// diversity, and turn one page of hits into photos.
+
+// Cosine similarity a hit needs unless the caller asks for another threshold
+const DEFAULT_SIMILARITY_THRESHOLD = 0.75;
+
+// With diversity > 0 results are re-ranked from this many top hits. The pool
+// does not depend on the page, so every page comes from the same ordering.
+const MMR_CANDIDATES = parseInt(process.env.SIMILAR_MMR_CANDIDATES) || 200;
+
+// Filter out the example images and format one page of search hits as photos.
+// hasMore is set when a further valid hit exists past the page.
+async function formatResults(searchResults, excludeKeys, { offset = 0, limit }) {
+  const pageHits = [];
+  let skipped = 0;
+  let hasMore = false;
+
+  for (const hit of searchResults) {
+    // Get the payload data which contains the photo key
+    const key = hit.payload?.Key;
+
+    // Skip the query images themselves or results without a key
+    if (!key || excludeKeys.includes(key)) continue;
+
+    // Skip the hits already returned on earlier pages
+    if (skipped < offset) {
+      skipped++;
+      continue;
+    }
+
+    // Stop once we have enough results
+    if (pageHits.length >= limit) {
+      hasMore = true;
+      break;
+    }
+    pageHits.push(hit);
+  }
+
+  // EXIF metadata lives on the photoViewer items, not in the vector payloads
+  const items = new Map((await getPhotoItems(pageHits.map(hit => hit.payload.Key))).map(item => [item.Key, item]));
+
+  // Format the photo data
+  const similarPhotos = await Promise.all(pageHits.map(async hit => {
+    const payload = hit.payload;
+    const urls = await photoUrls(payload.Key);
+    return {
+      id: payload.Key,
+      Year: payload.Year || '',
+      Event: payload.Event || '',
+      Day: payload.Day || '',
+      Team: payload.Team || '',
+      Misc: payload.Misc || '',
+      TakenAt: items.get(payload.Key)?.TakenAt,
+      Exif: items.get(payload.Key)?.Exif,
+      thumbnailUrl: urls.thumbnailUrl,
+      hiResUrl: urls.hiResUrl,
+      similarity: hit.score || 0
+    };
+  }));
+  return { photos: similarPhotos, hasMore };
+}
+
+// Maximal marginal relevance: repeatedly take the hit with the best
+// (1 - diversity) * score - diversity * (similarity to the closest hit already taken),
+// so near-identical frames from one burst do not crowd out everything else.
+// Ties keep the backend's order.
+function diversify(hits, diversity) {
+  const remaining = hits.map(hit => ({
+    hit,
+    vector: Array.isArray(hit.vector) && hit.vector.length ? normalize(hit.vector) : null,
+    closest: 0,
+  }));
+  const ranked = [];
+
+  while (remaining.length) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((candidate, i) => {
+      const score = (1 - diversity) * (candidate.hit.score || 0) - diversity * candidate.closest;
+      if (score > bestScore) {
+        bestIndex = i;
+        bestScore = score;
+      }
+    });
+
+    const [picked] = remaining.splice(bestIndex, 1);
+    ranked.push(picked.hit);
+    if (picked.vector) {
+      remaining.forEach(candidate => {
+        if (candidate.vector) {
+          candidate.closest = Math.max(candidate.closest, dot(candidate.vector, picked.vector));
+        }
+      });
+    }
+  }
+  return ranked;
+}
+
+// Search options shared by every similarity search: how many hits to ask the
+// backend for, and whether MMR needs their vectors
+const candidateOptions = ({ offset, diversity }, limit) => (diversity > 0
+  ? { limit: MMR_CANDIDATES, withVectors: true }
+  : { limit: offset + limit + 5, withVectors: false }); // A few extra to account for filtering
+
+// Hits for the photos that look like photoId, within filters. Paging is
+// { offset, diversity }. Returns { backend, searchResults }.
+async function searchSimilar(photoId, { limit, threshold = DEFAULT_SIMILARITY_THRESHOLD, filters, paging }) {
+  const { backend, result } = await runVectorOperation(async (vectorBackend) => {
+    const vector = await vectorBackend.getVector(photoId);
+    if (!vector) {
+      // An HttpError, so a photo that is not embedded yet is not retried on another backend
+      throw new NotFoundError(`No vector found for photo ${photoId}`);
+    }
+    return vectorBackend.search({
+      vector,
+      ...candidateOptions(paging, limit),
+      threshold,
+      filters,
+      excludeKeys: [photoId],
+    });
+  });
+  return { backend, searchResults: result };
+}
+
+// Re-rank if asked and format the requested page of hits: { photos, hasMore }
+function similarPage(searchResults, excludeKeys, paging, limit) {
+  const ranked = paging.diversity > 0 ? diversify(searchResults, paging.diversity) : searchResults;
+  return formatResults(ranked, excludeKeys, { offset: paging.offset, limit });
+}
+
+module.exports = {
+  DEFAULT_SIMILARITY_THRESHOLD,
+  MMR_CANDIDATES,
+  candidateOptions,
+  searchSimilar,
+  similarPage,
+};
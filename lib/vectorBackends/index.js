@@ -0,0 +1,50 @@
+// lib/vectorBackends/index.js
+'use strict';
+
+const qdrant = require('./qdrant');
+const memory = require('./memory');
+const { HttpError } = require('../http');
+const { logger } = require('../logger');
+const { metrics } = require('../metrics');
+
+// Vector search backends share one interface:
+//   name, isAvailable(), getVector(key),
+//   search({ vector, limit, threshold, filters, excludeKeys, withVectors }),
+//   recommend({ positive, negative, limit, threshold, filters, excludeKeys, withVectors })
+// and return Qdrant-style hits ({ score, payload }, plus vector with withVectors).
+//
+// VECTOR_BACKEND selects 'qdrant', 'memory' or 'auto' (default): auto uses
+// Qdrant and falls back to the in-process engine when Qdrant is down or fails.
+const BACKENDS = { qdrant, memory };
+const VECTOR_BACKEND = process.env.VECTOR_BACKEND || 'auto';
+
+async function answeredBy(backend, operation) {
+  const result = await operation(backend);
+  metrics.count(`VectorBackend.${backend.name}`);
+  return { backend: backend.name, result };
+}
+
+// Run operation(backend) and report which backend answered: { backend, result }
+async function runVectorOperation(operation) {
+  if (BACKENDS[VECTOR_BACKEND]) {
+    return answeredBy(BACKENDS[VECTOR_BACKEND], operation);
+  }
+
+  if (await qdrant.isAvailable()) {
+    try {
+      return await answeredBy(qdrant, operation);
+    } catch (error) {
+      if (error instanceof HttpError) throw error;
+      logger.warn('Qdrant operation failed, falling back to in-memory search', { error: error.message });
+    }
+  } else {
+    logger.warn('Qdrant unavailable, using in-memory search');
+  }
+
+  metrics.count('VectorBackendFallback');
+  return answeredBy(memory, operation);
+}
+
+module.exports = {
+  runVectorOperation,
+};
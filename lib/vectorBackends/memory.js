@@ -0,0 +1,145 @@
+// lib/vectorBackends/memory.js
+'use strict';
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { matchesFilters } = require('../photoQuery');
+const { BadRequestError } = require('../http');
+const { logger } = require('../logger');
+const { normalize, dot, average } = require('../vectorMath');
+const { withDynamoMetrics } = require('../metrics');
+
+// In-process brute-force cosine similarity over the vectors in photoVectors.
+// Used when Qdrant is unreachable and for offline development; rankings are
+// real and deterministic (ties are broken by Key). Every photo's vector is held
+// in memory, so this suits collections of tens of thousands of photos, not millions.
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+
+const VECTOR_TABLE_NAME = process.env.VECTOR_TABLE_NAME || 'photoVectors';
+const PAYLOAD_FIELDS = ['Key', 'Year', 'Event', 'Day', 'Team', 'Misc'];
+
+// Loaded vectors stay warm between invocations of the same container
+const CACHE_TTL_MS = parseInt(process.env.VECTOR_CACHE_TTL_MS) || 15 * 60 * 1000;
+let cache = null;        // { loadedAt, entries: Map<key, { payload, vector }> }
+let loadPromise = null;  // In-flight load shared by concurrent callers
+
+const name = 'memory';
+
+async function scanAll(params) {
+  let items = [];
+  let lastKey = undefined;
+  do {
+    const resp = await ddb.send(new ScanCommand({ ...params, ExclusiveStartKey: lastKey }));
+    items = items.concat(resp.Items || []);
+    lastKey = resp.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+}
+
+async function loadEntries() {
+  const [vectorRows, photos] = await Promise.all([
+    scanAll({ TableName: VECTOR_TABLE_NAME }),
+    scanAll({
+      TableName: process.env.TABLE_NAME,
+      ProjectionExpression: PAYLOAD_FIELDS.map((f, i) => `#p${i}`).join(', '),
+      ExpressionAttributeNames: PAYLOAD_FIELDS.reduce((acc, f, i) => ({ ...acc, [`#p${i}`]: f }), {}),
+    }),
+  ]);
+
+  const payloads = new Map(photos.map(photo => [photo.Key, photo]));
+  const entries = new Map();
+  vectorRows.forEach(row => {
+    const payload = payloads.get(row.PhotoKey);
+    if (payload && Array.isArray(row.Vector) && row.Vector.length) {
+      entries.set(row.PhotoKey, { payload, vector: normalize(row.Vector) });
+    }
+  });
+  logger.info('Loaded vectors into the in-memory index', { vectors: entries.size });
+  return entries;
+}
+
+async function getEntries() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.entries;
+  }
+  if (!loadPromise) {
+    loadPromise = loadEntries()
+      .then(entries => {
+        cache = { loadedAt: Date.now(), entries };
+        return entries;
+      })
+      .finally(() => {
+        loadPromise = null;
+      });
+  }
+  return loadPromise;
+}
+
+// Always available: it only depends on DynamoDB
+async function isAvailable() {
+  return true;
+}
+
+async function getVector(key) {
+  const entry = (await getEntries()).get(key);
+  return entry ? Array.from(entry.vector) : null;
+}
+
+// Score every candidate against a unit query vector, best first
+async function rank(query, { limit, threshold, filters = [], excludeKeys = [], withVectors = false }) {
+  const entries = await getEntries();
+  const first = entries.values().next().value;
+  if (first && first.vector.length !== query.length) {
+    throw new BadRequestError(`Vectors must have ${first.vector.length} dimensions`);
+  }
+
+  const hits = [];
+  entries.forEach((entry, key) => {
+    if (excludeKeys.includes(key) || !matchesFilters(entry.payload, filters)) return;
+    const score = dot(query, entry.vector);
+    if (score < threshold) return;
+    hits.push(withVectors
+      ? { score, payload: entry.payload, vector: Array.from(entry.vector) }
+      : { score, payload: entry.payload });
+  });
+  hits.sort((a, b) => b.score - a.score || a.payload.Key.localeCompare(b.payload.Key));
+  return hits.slice(0, limit);
+}
+
+async function search({ vector, ...options }) {
+  return rank(normalize(vector), options);
+}
+
+// Same "average_vector" strategy as Qdrant's recommend API:
+// avg(positive) + (avg(positive) - avg(negative))
+async function recommend({ positive, negative, ...options }) {
+  const entries = await getEntries();
+  const resolve = (keys) => keys.map(key => {
+    const entry = entries.get(key);
+    if (!entry) throw new BadRequestError(`No vector available for photo ${key}`);
+    return entry.vector;
+  });
+
+  const positives = [...resolve(positive.keys), ...positive.vectors.map(normalize)];
+  const negatives = [...resolve(negative.keys), ...negative.vectors.map(normalize)];
+  const dims = new Set([...positives, ...negatives].map(v => v.length));
+  if (dims.size > 1) throw new BadRequestError('All example vectors must have the same dimension');
+
+  let query = average(positives);
+  if (negatives.length) {
+    const avgNegative = average(negatives);
+    query = query.map((x, i) => x + (x - avgNegative[i]));
+  }
+  return rank(normalize(query), options);
+}
+
+module.exports = {
+  name,
+  isAvailable,
+  getVector,
+  search,
+  recommend,
+};
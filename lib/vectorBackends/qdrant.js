@@ -0,0 +1,150 @@
+// lib/vectorBackends/qdrant.js
+'use strict';
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const {
+  COLLECTION_NAME,
+  CircuitOpenError,
+  keyToId,
+  qdrantRequest,
+  checkCollection,
+  buildQdrantFilter
+} = require('../qdrant');
+const { BadRequestError } = require('../http');
+const { logger } = require('../logger');
+const { metrics, withDynamoMetrics } = require('../metrics');
+
+// Vector search against the Qdrant collection over HTTP
+
+const ddb = withDynamoMetrics(DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+}));
+
+// Vector table name - separate table for faster vector lookups
+const VECTOR_TABLE_NAME = process.env.VECTOR_TABLE_NAME || 'photoVectors';
+const VECTOR_FIELD = 'Vector';
+
+const name = 'qdrant';
+
+// True when the circuit breaker lets requests through and the collection exists.
+// A known-good collection check is cached, so this is usually free.
+async function isAvailable() {
+  try {
+    const { exists } = await checkCollection();
+    if (!exists) {
+      logger.warn('Collection not found in Qdrant', { collection: COLLECTION_NAME });
+    }
+    return exists;
+  } catch (error) {
+    if (!(error instanceof CircuitOpenError)) {
+      logger.error('Error connecting to Qdrant for health check', { error: error.message });
+    }
+    return false;
+  }
+}
+
+// Get the vector for a photo from the vector table
+async function getPhotoVector(key) {
+  try {
+    const getItemResponse = await ddb.send(new GetCommand({
+      TableName: VECTOR_TABLE_NAME,
+      Key: { PhotoKey: key }
+    }));
+
+    if (!getItemResponse.Item) {
+      logger.info('No vector found in vector table', { key });
+      return null;
+    }
+
+    return getItemResponse.Item[VECTOR_FIELD];
+  } catch (error) {
+    logger.error('Error getting vector from vector table', { key, error });
+    return null;
+  }
+}
+
+// Get a photo's vector from the DynamoDB vector table (much faster than a Qdrant
+// lookup), falling back to a Qdrant scroll by Key payload if the table has no row
+async function getVector(key) {
+  const vector = await getPhotoVector(key);
+  if (vector) {
+    metrics.count('VectorSource.VectorTable');
+    return vector;
+  }
+
+  metrics.count('VectorSource.QdrantScroll');
+
+  const data = await qdrantRequest('post', '/points/scroll', {
+    filter: {
+      must: [{ key: 'Key', match: { value: key } }]
+    },
+    limit: 1,
+    with_vector: true,
+    with_payload: false  // We don't need the payload for the search
+  });
+  const point = data?.result?.points?.[0];
+  return point && point.vector && point.vector.length > 0 ? point.vector : null;
+}
+
+// Exclude the given photos from results by their point IDs
+function withExclusions(filters, excludeKeys = []) {
+  const qdrantFilter = buildQdrantFilter(filters) || {};
+  if (excludeKeys.length) {
+    qdrantFilter.must_not = [...(qdrantFilter.must_not || []), { has_id: excludeKeys.map(keyToId) }];
+  }
+  return Object.keys(qdrantFilter).length ? qdrantFilter : undefined;
+}
+
+// Qdrant rejects malformed requests (e.g. wrong vector dimension) with a 400;
+// those are the caller's fault and must not look like an outage
+async function collectionRequest(path, body) {
+  try {
+    return await qdrantRequest('post', path, body);
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      throw new BadRequestError(error.response.data?.status?.error || 'Invalid vector search request');
+    }
+    throw error;
+  }
+}
+
+// Nearest neighbours of a vector, as Qdrant hits ({ score, payload[, vector] })
+async function search({ vector, limit, threshold, filters = [], excludeKeys = [], withVectors = false }) {
+  const data = await collectionRequest('/points/search', {
+    vector,
+    limit,
+    score_threshold: threshold,
+    filter: withExclusions(filters, excludeKeys),
+    with_payload: true,
+    with_vector: withVectors
+  });
+  if (data?.status !== 'ok') {
+    logger.error('Unexpected Qdrant search response', { status: data?.status });
+    throw new Error('Invalid response from Qdrant search');
+  }
+  return data.result || [];
+}
+
+// "More like these, less like those". Examples are { keys, vectors }; example
+// photos never appear in the results.
+async function recommend({ positive, negative, limit, threshold, filters = [], excludeKeys = [], withVectors = false }) {
+  const data = await collectionRequest('/points/recommend', {
+    positive: [...positive.keys.map(keyToId), ...positive.vectors],
+    negative: [...negative.keys.map(keyToId), ...negative.vectors],
+    limit,
+    score_threshold: threshold,
+    filter: withExclusions(filters, excludeKeys),
+    with_payload: true,
+    with_vector: withVectors
+  });
+  return data.result || [];
+}
+
+module.exports = {
+  name,
+  isAvailable,
+  getVector,
+  search,
+  recommend,
+};
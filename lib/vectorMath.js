@@ -0,0 +1,33 @@
+// lib/vectorMath.js
+'use strict';
+
+// Small helpers for cosine similarity over embedding vectors
+
+// Unit-length copy so cosine similarity is a plain dot product
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  const unit = new Float32Array(vector.length);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) unit[i] = vector[i] / norm;
+  }
+  return unit;
+}
+
+function dot(a, b) {
+  if (a.length !== b.length) return -Infinity;
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+const average = (vectors) => {
+  const avg = new Float32Array(vectors[0].length);
+  vectors.forEach(v => v.forEach((x, i) => { avg[i] += x / vectors.length; }));
+  return avg;
+};
+
+module.exports = {
+  normalize,
+  dot,
+  average,
+};
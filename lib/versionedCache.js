@@ -0,0 +1,46 @@
+// lib/versionedCache.js
+'use strict';
+
+const { getDatasetVersion } = require('./datasetVersion');
+const { metrics } = require('./metrics');
+
+// Per-container cache whose entries belong to one dataset version
+// (lib/datasetVersion.js). Once the version moves on, every entry from the
+// older version is dropped; entries also expire after ttlMs. The oldest entry
+// is evicted when maxEntries is reached. Lookups are counted as <name>CacheHit
+// and <name>CacheMiss metrics.
+function createVersionedCache({ name, ttlMs, maxEntries }) {
+  const entries = new Map(); // key -> { storedAt, value }
+  let cachedVersion = null;
+
+  // The cached value for key, or the result of load() which is then cached.
+  // A load that throws is not cached.
+  async function getOrLoad(key, load) {
+    const version = await getDatasetVersion();
+    if (version !== cachedVersion) {
+      entries.clear();
+      cachedVersion = version;
+    }
+
+    const entry = entries.get(key);
+    if (entry && Date.now() - entry.storedAt < ttlMs) {
+      metrics.count(`${name}CacheHit`);
+      return entry.value;
+    }
+    metrics.count(`${name}CacheMiss`);
+
+    const value = await load();
+    entries.delete(key);
+    if (entries.size >= maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    entries.set(key, { storedAt: Date.now(), value });
+    return value;
+  }
+
+  return { getOrLoad };
+}
+
+module.exports = {
+  createVersionedCache,
+};
@@ -0,0 +1,108 @@
+// scripts/backfillExif.js
+'use strict';
+
+/*
+ * Read EXIF (capture time, camera, lens, exposure, orientation, dimensions)
+ * from the hiRes/ originals and store it on their photoViewer items.
+ *
+ * ingestPhoto does this for new uploads. Photos ingested before that, or whose
+ * EXIF could not be read at the time, have no TakenAt and sort last when
+ * /photos is ordered by capture time. Items that already have TakenAt or Exif
+ * are left alone unless --force is given.
+ *
+ * Usage: TABLE_NAME=photoViewer S3_BUCKET=trackphotos-eu-west-1 node scripts/backfillExif.js [--dry-run] [--force]
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  ScanCommand,
+  UpdateCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { readPhotoMetadata } = require('../lib/exif');
+const { S3_BUCKET, HIRES_PREFIX } = require('../lib/photoShape');
+const { bumpDatasetVersion } = require('../lib/datasetVersion');
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+});
+
+const TABLE_NAME = process.env.TABLE_NAME || 'photoViewer';
+const CONCURRENCY = 10; // Parallel S3 reads and UpdateItem calls
+
+async function updateItem(item, metadata) {
+  const names = { '#key': 'Key' };
+  const values = {};
+  const sets = Object.entries(metadata).map(([name, value], i) => {
+    names[`#m${i}`] = name;
+    values[`:m${i}`] = value;
+    return `#m${i} = :m${i}`;
+  });
+  await ddb.send(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: { Key: item.Key },
+    UpdateExpression: `SET ${sets.join(', ')}`,
+    ConditionExpression: 'attribute_exists(#key)',
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+  }));
+}
+
+// Returns 'updated', 'noExif' or throws
+async function backfillItem(item, dryRun) {
+  const metadata = await readPhotoMetadata(S3_BUCKET, `${HIRES_PREFIX}${item.Key}`);
+  if (!Object.keys(metadata).length) return 'noExif';
+  if (!dryRun) await updateItem(item, metadata);
+  return 'updated';
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const force = process.argv.includes('--force');
+  const start = Date.now();
+  console.log(`Scanning DynamoDB table '${TABLE_NAME}' for photos without EXIF metadata...`);
+
+  const counts = { scanned: 0, updated: 0, noExif: 0, failed: 0 };
+  let lastKey = undefined;
+
+  do {
+    const resp = await ddb.send(new ScanCommand({
+      TableName: TABLE_NAME,
+      ProjectionExpression: '#key, TakenAt, Exif',
+      ExpressionAttributeNames: { '#key': 'Key' },
+      ExclusiveStartKey: lastKey,
+    }));
+    const items = resp.Items || [];
+    counts.scanned += items.length;
+    lastKey = resp.LastEvaluatedKey;
+
+    const pending = force ? items : items.filter(item => !item.TakenAt && !item.Exif);
+    for (let i = 0; i < pending.length; i += CONCURRENCY) {
+      const batch = pending.slice(i, i + CONCURRENCY);
+      const results = await Promise.allSettled(batch.map(item => backfillItem(item, dryRun)));
+      results.forEach((result, j) => {
+        if (result.status === 'fulfilled') {
+          counts[result.value]++;
+        } else {
+          counts.failed++;
+          console.error(`Error reading EXIF for ${batch[j].Key}:`, result.reason.message);
+        }
+      });
+    }
+  } while (lastKey);
+
+  if (counts.updated && !dryRun) {
+    // Cached /photos responses do not have the new TakenAt/Exif yet
+    await bumpDatasetVersion();
+  }
+
+  const elapsed = ((Date.now() - start) / 1000).toFixed(2);
+  console.log(`Scanned ${counts.scanned} items, ${dryRun ? 'would update' : 'updated'} ${counts.updated}, `
+    + `no EXIF ${counts.noExif}, failed ${counts.failed} in ${elapsed}s`);
+  if (counts.failed) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
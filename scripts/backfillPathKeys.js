@@ -0,0 +1,104 @@
+// scripts/backfillPathKeys.js
+'use strict';
+
+/*
+ * Add EventPath/DayKey index attributes to existing photoViewer items.
+ *
+ * getPhotos queries the EventPathIndex GSI (partition key EventPath, sort key DayKey)
+ * and the YearIndex GSI (partition key Year, sort key Key) instead of scanning the
+ * whole table. Items written before those indexes existed lack the attributes and
+ * are invisible to them until this script has been run.
+ *
+ * photoViewer is not declared in serverless.yml, so the GSIs are created by hand.
+ * Deploy order:
+ *   1. Create YearIndex and EventPathIndex (projection ALL) and wait until ACTIVE.
+ *   2. Run this script.
+ *   3. Deploy the API.
+ *   4. Run this script again for photos the old ingest wrote in the meantime.
+ * Deployed before step 1, Year/Event selections fall back to a Scan. Deployed
+ * between steps 1 and 2, photos not backfilled yet are missing from those selections.
+ *
+ * Usage: TABLE_NAME=photoViewer node scripts/backfillPathKeys.js [--dry-run]
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  ScanCommand,
+  UpdateCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { photoIndexKeys } = require('../lib/filterPaths');
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+});
+
+const TABLE_NAME = process.env.TABLE_NAME || 'photoViewer';
+const CONCURRENCY = 10; // Parallel UpdateItem calls
+
+async function updateItem(item, keys) {
+  await ddb.send(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: { Key: item.Key },
+    UpdateExpression: 'SET EventPath = :ep, DayKey = :dk',
+    ConditionExpression: 'attribute_exists(#key)',
+    ExpressionAttributeNames: { '#key': 'Key' },
+    ExpressionAttributeValues: { ':ep': keys.EventPath, ':dk': keys.DayKey },
+  }));
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const start = Date.now();
+  console.log(`Scanning DynamoDB table '${TABLE_NAME}'...`);
+
+  let scanned = 0;
+  let skipped = 0;
+  let updated = 0;
+  let failed = 0;
+  let lastKey = undefined;
+
+  do {
+    const resp = await ddb.send(new ScanCommand({ TableName: TABLE_NAME, ExclusiveStartKey: lastKey }));
+    const items = resp.Items || [];
+    scanned += items.length;
+    lastKey = resp.LastEvaluatedKey;
+
+    const pending = [];
+    for (const item of items) {
+      const keys = photoIndexKeys(item);
+      if (!keys.EventPath) {
+        console.warn(`Item ${item.Key} is missing Year/Event, skipping`);
+        skipped++;
+      } else if (item.EventPath !== keys.EventPath || item.DayKey !== keys.DayKey) {
+        pending.push({ item, keys });
+      }
+    }
+
+    for (let i = 0; i < pending.length; i += CONCURRENCY) {
+      const batch = pending.slice(i, i + CONCURRENCY);
+      if (dryRun) {
+        updated += batch.length;
+        continue;
+      }
+      const results = await Promise.allSettled(batch.map(({ item, keys }) => updateItem(item, keys)));
+      results.forEach((result, j) => {
+        if (result.status === 'fulfilled') {
+          updated++;
+        } else {
+          failed++;
+          console.error(`Error updating item ${batch[j].item.Key}:`, result.reason.message);
+        }
+      });
+    }
+  } while (lastKey);
+
+  const elapsed = ((Date.now() - start) / 1000).toFixed(2);
+  console.log(`Scanned ${scanned} items, ${dryRun ? 'would update' : 'updated'} ${updated}, skipped ${skipped}, failed ${failed} in ${elapsed}s`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
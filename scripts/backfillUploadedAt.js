@@ -0,0 +1,101 @@
+// scripts/backfillUploadedAt.js
+'use strict';
+
+/*
+ * Add UploadedAt/UploadMonth to existing photoViewer items, taken from the
+ * LastModified time of their hiRes/ originals.
+ *
+ * The photo feeds read the RecentIndex GSI (partition key UploadMonth, sort key
+ * UploadedAt), which ingestPhoto populates for new uploads. Photos ingested
+ * before that have neither attribute and never appear in a feed until this
+ * script has been run. Items that already have UploadedAt are left alone.
+ *
+ * Usage: TABLE_NAME=photoViewer S3_BUCKET=trackphotos-eu-west-1 node scripts/backfillUploadedAt.js [--dry-run]
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  ScanCommand,
+  UpdateCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { S3Client, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { recentIndexKeys } = require('../lib/filterPaths');
+const { S3_BUCKET, S3_REGION, HIRES_PREFIX } = require('../lib/photoShape');
+const { bumpDatasetVersion } = require('../lib/datasetVersion');
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+});
+const s3 = new S3Client({ region: S3_REGION });
+
+const TABLE_NAME = process.env.TABLE_NAME || 'photoViewer';
+const CONCURRENCY = 10; // Parallel HeadObject and UpdateItem calls
+
+async function updateItem(item, keys) {
+  await ddb.send(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: { Key: item.Key },
+    UpdateExpression: 'SET UploadedAt = :at, UploadMonth = :month',
+    ConditionExpression: 'attribute_exists(#key) AND attribute_not_exists(UploadedAt)',
+    ExpressionAttributeNames: { '#key': 'Key' },
+    ExpressionAttributeValues: { ':at': keys.UploadedAt, ':month': keys.UploadMonth },
+  }));
+}
+
+async function backfillItem(item, dryRun) {
+  const head = await s3.send(new HeadObjectCommand({ Bucket: S3_BUCKET, Key: `${HIRES_PREFIX}${item.Key}` }));
+  const keys = recentIndexKeys(head.LastModified.toISOString());
+  if (!dryRun) await updateItem(item, keys);
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const start = Date.now();
+  console.log(`Scanning DynamoDB table '${TABLE_NAME}' for photos without an upload time...`);
+
+  let scanned = 0;
+  let updated = 0;
+  let failed = 0;
+  let lastKey = undefined;
+
+  do {
+    const resp = await ddb.send(new ScanCommand({
+      TableName: TABLE_NAME,
+      ProjectionExpression: '#key, UploadedAt',
+      ExpressionAttributeNames: { '#key': 'Key' },
+      ExclusiveStartKey: lastKey,
+    }));
+    const items = resp.Items || [];
+    scanned += items.length;
+    lastKey = resp.LastEvaluatedKey;
+
+    const pending = items.filter(item => !item.UploadedAt);
+    for (let i = 0; i < pending.length; i += CONCURRENCY) {
+      const batch = pending.slice(i, i + CONCURRENCY);
+      const results = await Promise.allSettled(batch.map(item => backfillItem(item, dryRun)));
+      results.forEach((result, j) => {
+        if (result.status === 'fulfilled') {
+          updated++;
+        } else {
+          failed++;
+          console.error(`Error backfilling ${batch[j].Key}:`, result.reason.message);
+        }
+      });
+    }
+  } while (lastKey);
+
+  if (updated && !dryRun) {
+    // Cached feed responses do not list the backfilled photos yet
+    await bumpDatasetVersion();
+  }
+
+  const elapsed = ((Date.now() - start) / 1000).toFixed(2);
+  console.log(`Scanned ${scanned} items, ${dryRun ? 'would update' : 'updated'} ${updated}, failed ${failed} in ${elapsed}s`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
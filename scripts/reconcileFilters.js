@@ -0,0 +1,202 @@
+// scripts/reconcileFilters.js
+'use strict';
+
+/*
+ * Rebuild the PhotoCount values in PhotoViewerFilters from photoViewer.
+ *
+ * getFilters hides values whose PhotoCount is <= 0, so a drifted count either
+ * makes a value vanish from the UI or leaves a dead filter behind. This script
+ * recomputes the expected count of every ParentPath/SK row from the photos
+ * themselves and diffs it against the table.
+ *
+ * Usage:
+ *   node scripts/reconcileFilters.js           # dry run, prints the report
+ *   node scripts/reconcileFilters.js --apply   # also fixes counts and deletes orphaned rows
+ *
+ * The filter table is read before the photos and every fix is conditional on
+ * the count still being what was read. A photo ingested while the script runs
+ * moves that count, so its rows are reported as skipped rather than overwritten.
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  ScanCommand,
+  UpdateCommand,
+  DeleteCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { filterRowsForPhoto, rowId } = require('../lib/filterPaths');
+const { FILTERS_TABLE_NAME } = require('../lib/filterCounts');
+const { bumpDatasetVersion } = require('../lib/datasetVersion');
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+});
+
+const TABLE_NAME = process.env.TABLE_NAME || 'photoViewer';
+
+// Only rows for these levels are maintained from photo counts
+const FILTER_SK_PREFIXES = ['YEAR#', 'EVENT#', 'DAY#', 'TEAM#', 'MISC#'];
+
+async function scanAll(params) {
+  let items = [];
+  let lastKey = undefined;
+  do {
+    const resp = await ddb.send(new ScanCommand({ ...params, ExclusiveStartKey: lastKey }));
+    items = items.concat(resp.Items || []);
+    lastKey = resp.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+}
+
+// Expected rows keyed by rowId, each with the number of photos counted in it
+async function computeExpected() {
+  const photos = await scanAll({ TableName: TABLE_NAME });
+  const expected = new Map();
+  let unplaced = 0;
+
+  photos.forEach(photo => {
+    const rows = filterRowsForPhoto(photo);
+    if (!rows.length) unplaced++;
+    rows.forEach(row => {
+      const id = rowId(row);
+      const entry = expected.get(id) || { ...row, PhotoCount: 0 };
+      entry.PhotoCount++;
+      expected.set(id, entry);
+    });
+  });
+
+  return { expected, photoCount: photos.length, unplaced };
+}
+
+async function loadActual() {
+  const rows = await scanAll({ TableName: FILTERS_TABLE_NAME });
+  return new Map(rows
+    .filter(row => FILTER_SK_PREFIXES.some(prefix => String(row.SK).startsWith(prefix)))
+    .map(row => [rowId(row), row]));
+}
+
+function diff(expected, actual) {
+  const report = { mismatched: [], missing: [], orphaned: [] };
+
+  expected.forEach((row, id) => {
+    const current = actual.get(id);
+    if (!current) {
+      report.missing.push({ ...row, actual: null });
+    } else if (current.PhotoCount !== row.PhotoCount || current.ActualFilterValue !== row.ActualFilterValue) {
+      report.mismatched.push({ ...row, actual: current.PhotoCount ?? null });
+    }
+  });
+
+  actual.forEach((row, id) => {
+    if (!expected.has(id)) {
+      report.orphaned.push({ ParentPath: row.ParentPath, SK: row.SK, actual: row.PhotoCount ?? null });
+    }
+  });
+
+  return report;
+}
+
+async function setCount(row) {
+  const condition = row.actual === null
+    ? 'attribute_not_exists(PhotoCount)'
+    : 'PhotoCount = :actual';
+  const values = { ':n': row.PhotoCount, ':v': row.ActualFilterValue };
+  if (row.actual !== null) values[':actual'] = row.actual;
+
+  await ddb.send(new UpdateCommand({
+    TableName: FILTERS_TABLE_NAME,
+    Key: { ParentPath: row.ParentPath, SK: row.SK },
+    UpdateExpression: 'SET PhotoCount = :n, ActualFilterValue = :v',
+    ConditionExpression: condition,
+    ExpressionAttributeValues: values,
+  }));
+}
+
+async function deleteRow(row) {
+  const params = {
+    TableName: FILTERS_TABLE_NAME,
+    Key: { ParentPath: row.ParentPath, SK: row.SK },
+  };
+  if (row.actual === null) {
+    params.ConditionExpression = 'attribute_not_exists(PhotoCount)';
+  } else {
+    params.ConditionExpression = 'PhotoCount = :actual';
+    params.ExpressionAttributeValues = { ':actual': row.actual };
+  }
+  await ddb.send(new DeleteCommand(params));
+}
+
+async function applyFixes(report) {
+  const outcome = { fixed: 0, deleted: 0, skipped: 0, failed: 0 };
+
+  const run = async (row, action, counter) => {
+    try {
+      await action(row);
+      outcome[counter]++;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        console.warn(`  skipped ${row.ParentPath} / ${row.SK}: changed during reconciliation`);
+        outcome.skipped++;
+      } else {
+        console.error(`  failed ${row.ParentPath} / ${row.SK}:`, error.message);
+        outcome.failed++;
+      }
+    }
+  };
+
+  for (const row of [...report.mismatched, ...report.missing]) {
+    await run(row, setCount, 'fixed');
+  }
+  for (const row of report.orphaned) {
+    await run(row, deleteRow, 'deleted');
+  }
+  return outcome;
+}
+
+function printReport(report) {
+  const line = (row) => `  ${row.ParentPath} / ${row.SK}: ${row.actual ?? 'none'} -> ${row.PhotoCount ?? 'delete'}`;
+  console.log(`Mismatched counts (${report.mismatched.length}):`);
+  report.mismatched.forEach(row => console.log(line(row)));
+  console.log(`Missing rows (${report.missing.length}):`);
+  report.missing.forEach(row => console.log(line(row)));
+  console.log(`Orphaned rows (${report.orphaned.length}):`);
+  report.orphaned.forEach(row => console.log(line(row)));
+}
+
+async function main() {
+  const apply = process.argv.includes('--apply');
+  console.log(`Reconciling '${FILTERS_TABLE_NAME}' against '${TABLE_NAME}' (${apply ? 'apply' : 'dry run'})...`);
+
+  // Filter rows first: an ingest that lands after this read changes its counts,
+  // so the conditional fixes below skip those rows instead of undoing it
+  const actual = await loadActual();
+  const { expected, photoCount, unplaced } = await computeExpected();
+  console.log(`Scanned ${photoCount} photos (${unplaced} without Year/Event/Day) and ${actual.size} filter rows`);
+
+  const report = diff(expected, actual);
+  printReport(report);
+
+  const differences = report.mismatched.length + report.missing.length + report.orphaned.length;
+  if (!differences) {
+    console.log('Filter counts are in sync. Nothing to do.');
+    return;
+  }
+  if (!apply) {
+    console.log(`${differences} differences found. Re-run with --apply to fix them.`);
+    return;
+  }
+
+  const outcome = await applyFixes(report);
+  if (outcome.fixed || outcome.deleted) {
+    // Cached /filters responses still hold the old counts
+    await bumpDatasetVersion();
+  }
+  console.log(`Fixed ${outcome.fixed} counts, deleted ${outcome.deleted} rows, skipped ${outcome.skipped}, failed ${outcome.failed}`);
+  if (outcome.failed) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('Reconciliation failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,258 @@
+// scripts/syncVectors.js
+'use strict';
+
+/*
+ * Bring photoVectors and the Qdrant collection in line with photoViewer.
+ *
+ * getSimilarPhotos reads query vectors from photoVectors, searches Qdrant and
+ * formats hits from the Qdrant payload, so the three stores have to agree.
+ * This job compares them using the keyToId mapping (SHA1(key) mod 1e18) and
+ * reports:
+ *   - photos with no vector anywhere (need the embedding pipeline)
+ *   - photos whose vector is only in photoVectors (point is upserted)
+ *   - photos whose vector is only in Qdrant (copied into photoVectors)
+ *   - points whose payload is out of date with photoViewer (payload is overwritten)
+ *   - points and photoVectors rows with no photo (deleted)
+ *
+ * Usage:
+ *   node scripts/syncVectors.js           # dry run, prints the summary
+ *   node scripts/syncVectors.js --apply   # also writes the fixes in batches
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  ScanCommand,
+  BatchGetCommand,
+  BatchWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { keyToId, qdrantRequest } = require('../lib/qdrant');
+const { bumpDatasetVersion } = require('../lib/datasetVersion');
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+});
+
+const TABLE_NAME = process.env.TABLE_NAME || 'photoViewer';
+const VECTOR_TABLE_NAME = process.env.VECTOR_TABLE_NAME || 'photoVectors';
+const PAYLOAD_FIELDS = ['Key', 'Year', 'Event', 'Day', 'Team', 'Misc'];
+
+const QDRANT_BATCH_SIZE = 100;
+const DYNAMO_BATCH_GET_SIZE = 100;
+const DYNAMO_BATCH_WRITE_SIZE = 25;
+
+const chunk = (list, size) => {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+  return chunks;
+};
+
+// Point IDs are compared as decimal strings; lib/qdrant parses them that way
+const vectorIdOf = (photo) => String(photo.VectorId ?? keyToId(photo.Key));
+
+const expectedPayload = (photo) => PAYLOAD_FIELDS.reduce((acc, field) => {
+  if (photo[field] !== undefined) acc[field] = photo[field];
+  return acc;
+}, {});
+
+const payloadIsStale = (payload = {}, photo) =>
+  PAYLOAD_FIELDS.some(field => JSON.stringify(payload[field] ?? null) !== JSON.stringify(photo[field] ?? null));
+
+async function scanAll(params) {
+  let items = [];
+  let lastKey = undefined;
+  do {
+    const resp = await ddb.send(new ScanCommand({ ...params, ExclusiveStartKey: lastKey }));
+    items = items.concat(resp.Items || []);
+    lastKey = resp.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+}
+
+async function scrollAllPoints() {
+  const points = [];
+  let offset = undefined;
+  do {
+    const data = await qdrantRequest('post', '/points/scroll', {
+      limit: 256,
+      offset: offset === undefined ? undefined : BigInt(offset),
+      with_payload: true,
+      with_vector: false,
+    });
+    points.push(...(data.result?.points || []));
+    offset = data.result?.next_page_offset ?? undefined;
+  } while (offset !== undefined);
+  return points;
+}
+
+// Fetch full photoVectors rows (with the Vector attribute) for the given keys
+async function getVectorRows(keys) {
+  const rows = [];
+  for (const batch of chunk(keys, DYNAMO_BATCH_GET_SIZE)) {
+    let request = { [VECTOR_TABLE_NAME]: { Keys: batch.map(key => ({ PhotoKey: key })) } };
+    while (request && Object.keys(request).length) {
+      const resp = await ddb.send(new BatchGetCommand({ RequestItems: request }));
+      rows.push(...(resp.Responses?.[VECTOR_TABLE_NAME] || []));
+      request = resp.UnprocessedKeys;
+    }
+  }
+  return rows;
+}
+
+async function batchWrite(requests) {
+  for (const batch of chunk(requests, DYNAMO_BATCH_WRITE_SIZE)) {
+    let request = { [VECTOR_TABLE_NAME]: batch };
+    while (request && Object.keys(request).length) {
+      const resp = await ddb.send(new BatchWriteCommand({ RequestItems: request }));
+      request = resp.UnprocessedItems;
+    }
+  }
+}
+
+async function plan() {
+  const [photos, vectorRows, points] = await Promise.all([
+    scanAll({ TableName: TABLE_NAME }),
+    scanAll({ TableName: VECTOR_TABLE_NAME, ProjectionExpression: 'PhotoKey' }),
+    scrollAllPoints(),
+  ]);
+  console.log(`Loaded ${photos.length} photos, ${vectorRows.length} photoVectors rows and ${points.length} Qdrant points`);
+
+  const vectorKeys = new Set(vectorRows.map(row => row.PhotoKey));
+  const pointsById = new Map(points.map(point => [String(point.id), point]));
+  const photoKeys = new Set(photos.map(photo => photo.Key));
+  const photoIds = new Set();
+
+  const actions = {
+    missingVectors: [],    // keys with no vector in either store
+    upsertPoints: [],      // photos to push from photoVectors into Qdrant
+    copyToVectorTable: [], // photos to copy from Qdrant into photoVectors
+    stalePayloads: [],     // { id, photo }
+    orphanPoints: [],      // point IDs with no photo
+    orphanVectorRows: [],  // photoVectors keys with no photo
+    missingVectorId: 0,    // photos still without a VectorId attribute
+  };
+
+  photos.forEach(photo => {
+    const id = vectorIdOf(photo);
+    photoIds.add(id);
+    if (photo.VectorId === undefined) actions.missingVectorId++;
+
+    const point = pointsById.get(id);
+    const inTable = vectorKeys.has(photo.Key);
+
+    if (!point && !inTable) {
+      actions.missingVectors.push(photo.Key);
+    } else if (!point) {
+      actions.upsertPoints.push(photo);
+    } else {
+      if (!inTable) actions.copyToVectorTable.push(photo);
+      if (payloadIsStale(point.payload, photo)) actions.stalePayloads.push({ id, photo });
+    }
+  });
+
+  pointsById.forEach((point, id) => {
+    if (!photoIds.has(id)) actions.orphanPoints.push(id);
+  });
+  vectorKeys.forEach(key => {
+    if (!photoKeys.has(key)) actions.orphanVectorRows.push(key);
+  });
+
+  return actions;
+}
+
+async function apply(actions) {
+  const photosByKey = new Map(actions.upsertPoints.map(photo => [photo.Key, photo]));
+
+  // photoVectors -> Qdrant
+  for (const batch of chunk(actions.upsertPoints.map(photo => photo.Key), QDRANT_BATCH_SIZE)) {
+    const rows = await getVectorRows(batch);
+    const points = rows
+      .filter(row => Array.isArray(row.Vector) && row.Vector.length)
+      .map(row => {
+        const photo = photosByKey.get(row.PhotoKey);
+        return { id: BigInt(vectorIdOf(photo)), vector: row.Vector, payload: expectedPayload(photo) };
+      });
+    if (points.length) {
+      await qdrantRequest('put', '/points?wait=true', { points });
+    }
+    console.log(`  upserted ${points.length} points`);
+  }
+
+  // Qdrant -> photoVectors
+  for (const batch of chunk(actions.copyToVectorTable, QDRANT_BATCH_SIZE)) {
+    const data = await qdrantRequest('post', '/points', {
+      ids: batch.map(photo => BigInt(vectorIdOf(photo))),
+      with_vector: true,
+      with_payload: false,
+    });
+    const vectors = new Map((data.result || []).map(point => [String(point.id), point.vector]));
+    const puts = batch
+      .filter(photo => Array.isArray(vectors.get(vectorIdOf(photo))))
+      .map(photo => ({
+        PutRequest: {
+          Item: { PhotoKey: photo.Key, VectorId: BigInt(vectorIdOf(photo)), Vector: vectors.get(vectorIdOf(photo)) },
+        },
+      }));
+    await batchWrite(puts);
+    console.log(`  copied ${puts.length} vectors into ${VECTOR_TABLE_NAME}`);
+  }
+
+  // Payloads
+  for (const batch of chunk(actions.stalePayloads, QDRANT_BATCH_SIZE)) {
+    await qdrantRequest('post', '/points/batch?wait=true', {
+      operations: batch.map(({ id, photo }) => ({
+        overwrite_payload: { payload: expectedPayload(photo), points: [BigInt(id)] },
+      })),
+    });
+    console.log(`  refreshed ${batch.length} payloads`);
+  }
+
+  // Orphans
+  for (const batch of chunk(actions.orphanPoints, QDRANT_BATCH_SIZE)) {
+    await qdrantRequest('post', '/points/delete?wait=true', { points: batch.map(id => BigInt(id)) });
+    console.log(`  deleted ${batch.length} orphaned points`);
+  }
+  await batchWrite(actions.orphanVectorRows.map(key => ({ DeleteRequest: { Key: { PhotoKey: key } } })));
+  if (actions.orphanVectorRows.length) {
+    console.log(`  deleted ${actions.orphanVectorRows.length} orphaned ${VECTOR_TABLE_NAME} rows`);
+  }
+}
+
+function printSummary(actions) {
+  console.log('Summary:');
+  console.log(`  photos with no vector anywhere: ${actions.missingVectors.length}`);
+  console.log(`  points to upsert from ${VECTOR_TABLE_NAME}: ${actions.upsertPoints.length}`);
+  console.log(`  vectors to copy from Qdrant: ${actions.copyToVectorTable.length}`);
+  console.log(`  stale payloads: ${actions.stalePayloads.length}`);
+  console.log(`  orphaned points: ${actions.orphanPoints.length}`);
+  console.log(`  orphaned ${VECTOR_TABLE_NAME} rows: ${actions.orphanVectorRows.length}`);
+  console.log(`  photos without VectorId: ${actions.missingVectorId}`);
+  if (actions.missingVectors.length) {
+    console.log('Photos that need embedding:');
+    actions.missingVectors.slice(0, 50).forEach(key => console.log(`  ${key}`));
+    if (actions.missingVectors.length > 50) console.log(`  ... and ${actions.missingVectors.length - 50} more`);
+  }
+}
+
+async function main() {
+  const applyFixes = process.argv.includes('--apply');
+  const start = Date.now();
+  console.log(`Syncing vectors (${applyFixes ? 'apply' : 'dry run'})...`);
+
+  const actions = await plan();
+  printSummary(actions);
+
+  if (applyFixes) {
+    await apply(actions);
+    // Similarity results may have changed; let cached /similar responses go
+    await bumpDatasetVersion();
+  } else {
+    console.log('Dry run only. Re-run with --apply to write the fixes.');
+  }
+  console.log(`Done in ${((Date.now() - start) / 1000).toFixed(2)}s`);
+}
+
+main().catch(err => {
+  console.error('Vector sync failed:', err.response?.data || err);
+  process.exit(1);
+});